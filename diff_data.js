@@ -0,0 +1,218 @@
+// Node.js script to compare two versions of a planet dataset (koiData.json,
+// tessData.json): which planets were added or removed, and which fields
+// changed for the rest. parse_koi.js runs it when a conversion replaces an
+// existing dataset; it can also be run on two files directly, JSON or NDJSON.
+const fs = require('fs');
+
+// Changed planets listed in the console summary before the rest are counted
+const MAX_LISTED_CHANGES = 10;
+
+// Nested objects become dotted paths ("ellipticalOrbit.period", "mass.value");
+// arrays and other values are compared as a whole
+function flattenRecord(record, prefix = '', fields = {}) {
+    Object.entries(record).forEach(([key, value]) => {
+        const field = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenRecord(value, field, fields);
+        } else {
+            fields[field] = value;
+        }
+    });
+    return fields;
+}
+
+function sameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// IDs used by more than one record, in order of first use
+function duplicateIds(planets) {
+    const seen = new Set();
+    const duplicates = new Set();
+    planets.forEach(planet => {
+        if (seen.has(planet.id)) duplicates.add(planet.id);
+        seen.add(planet.id);
+    });
+    return Array.from(duplicates);
+}
+
+/**
+ * Read a dataset written as a JSON array or as NDJSON
+ * @param {string} filePath - Dataset file
+ * @returns {Array} Planet records
+ */
+function readDataset(filePath) {
+    const text = fs.readFileSync(filePath, 'utf-8');
+    if (text.trimStart().startsWith('[')) return JSON.parse(text);
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Compare two versions of a dataset, matching planets by ID. Records sharing
+ * an ID are compared by the last of them and listed in duplicates.
+ * @param {Array<Object>} previous - Planet records of the existing dataset
+ * @param {Array<Object>} current - Planet records of the new dataset
+ * @returns {Object} { added: [id], removed: [id], changed: [{ id, changes: [{ field, from, to }] }],
+ *   unchanged: count, duplicates: { previous: [id], current: [id] } }; a field
+ *   missing on one side is undefined there
+ */
+function diffPlanets(previous, current) {
+    const before = new Map(previous.map(planet => [planet.id, planet]));
+    const after = new Map(current.map(planet => [planet.id, planet]));
+    const diff = {
+        added: [],
+        removed: [],
+        changed: [],
+        unchanged: 0,
+        duplicates: { previous: duplicateIds(previous), current: duplicateIds(current) }
+    };
+
+    after.forEach((planet, id) => {
+        if (!before.has(id)) {
+            diff.added.push(id);
+            return;
+        }
+        const from = flattenRecord(before.get(id));
+        const to = flattenRecord(planet);
+        const fields = new Set(Object.keys(from).concat(Object.keys(to)));
+        const changes = [];
+        fields.forEach(field => {
+            if (!sameValue(from[field], to[field])) {
+                changes.push({ field, from: from[field], to: to[field] });
+            }
+        });
+        if (changes.length > 0) {
+            diff.changed.push({ id, changes });
+        } else {
+            diff.unchanged++;
+        }
+    });
+
+    before.forEach((planet, id) => {
+        if (!after.has(id)) diff.removed.push(id);
+    });
+
+    return diff;
+}
+
+/**
+ * Whether a diff has anything to report
+ * @param {Object} diff - Result of diffPlanets
+ * @returns {boolean}
+ */
+function hasChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0 ||
+        !sameValue(diff.duplicates.previous, diff.duplicates.current);
+}
+
+// "3 duplicate IDs in the new dataset (K00001.01, ...)" lines for each side that has any
+function duplicateNotes(diff) {
+    return [['previous', 'the existing dataset'], ['current', 'the new dataset']]
+        .filter(([side]) => diff.duplicates[side].length > 0)
+        .map(([side, name]) => {
+            const ids = diff.duplicates[side];
+            const listed = ids.slice(0, MAX_LISTED_CHANGES).join(', ');
+            return `${ids.length} duplicate IDs in ${name} (${listed}${ids.length > MAX_LISTED_CHANGES ? ', ...' : ''})`;
+        });
+}
+
+// How often each field changed, most frequent first
+function fieldCounts(diff) {
+    const counts = {};
+    diff.changed.forEach(({ changes }) => {
+        changes.forEach(({ field }) => {
+            counts[field] = (counts[field] || 0) + 1;
+        });
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+function formatValue(value) {
+    return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+/**
+ * Print a summary of a diff to the console
+ * @param {Object} diff - Result of diffPlanets
+ * @param {string} [label] - Dataset name for the heading
+ */
+function printDiffSummary(diff, label = 'dataset') {
+    duplicateNotes(diff).forEach(note => console.warn(`⚠️  ${note}`));
+    if (!hasChanges(diff)) {
+        console.log(`\n🔁 No changes to ${label} (${diff.unchanged} planets)`);
+        return;
+    }
+
+    console.log(`\n🔁 Changes to ${label}: ${diff.added.length} added, ${diff.removed.length} removed, ` +
+        `${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+    fieldCounts(diff).forEach(([field, count]) => {
+        console.log(`  ${field}: ${count}`);
+    });
+    diff.changed.slice(0, MAX_LISTED_CHANGES).forEach(({ id, changes }) => {
+        const fields = changes.map(({ field, from, to }) => `${field} ${formatValue(from)} → ${formatValue(to)}`);
+        console.log(`  ~ ${id}: ${fields.join(', ')}`);
+    });
+    if (diff.changed.length > MAX_LISTED_CHANGES) {
+        console.log(`  ...and ${diff.changed.length - MAX_LISTED_CHANGES} more changed planets`);
+    }
+}
+
+/**
+ * Markdown report of a diff, listing every added, removed and changed planet
+ * @param {Object} diff - Result of diffPlanets
+ * @param {string} [label] - Dataset name for the heading
+ * @returns {string}
+ */
+function formatDiffReport(diff, label = 'dataset') {
+    const lines = [
+        `# Changes to ${label}`,
+        '',
+        `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ` +
+            `${diff.unchanged} unchanged.`
+    ];
+
+    const notes = duplicateNotes(diff);
+    if (notes.length > 0) {
+        lines.push('', '## Duplicate IDs', '');
+        notes.forEach(note => lines.push(`- ${note}`));
+    }
+
+    if (diff.added.length > 0) {
+        lines.push('', `## Added (${diff.added.length})`, '');
+        diff.added.forEach(id => lines.push(`- ${id}`));
+    }
+    if (diff.removed.length > 0) {
+        lines.push('', `## Removed (${diff.removed.length})`, '');
+        diff.removed.forEach(id => lines.push(`- ${id}`));
+    }
+    if (diff.changed.length > 0) {
+        lines.push('', `## Changed (${diff.changed.length})`, '', '| Field | Planets |', '|-------|---------|');
+        fieldCounts(diff).forEach(([field, count]) => lines.push(`| \`${field}\` | ${count} |`));
+        diff.changed.forEach(({ id, changes }) => {
+            lines.push('', `### ${id}`, '');
+            changes.forEach(({ field, from, to }) => {
+                lines.push(`- \`${field}\`: ${formatValue(from)} → ${formatValue(to)}`);
+            });
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Main execution
+if (require.main === module) {
+    const [previousPath, currentPath, reportPath] = process.argv.slice(2);
+    if (!previousPath || !currentPath) {
+        console.error('❌ Usage: node diff_data.js old.json new.json [report.md] (JSON or NDJSON)');
+        process.exit(1);
+    }
+
+    const diff = diffPlanets(readDataset(previousPath), readDataset(currentPath));
+    printDiffSummary(diff, currentPath);
+    if (reportPath) {
+        fs.writeFileSync(reportPath, formatDiffReport(diff, currentPath));
+        console.log(`📝 Report written to ${reportPath}`);
+    }
+}
+
+module.exports = { readDataset, diffPlanets, hasChanges, printDiffSummary, formatDiffReport };
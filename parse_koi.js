@@ -1,48 +1,248 @@
-// Node.js script to parse KOI candidates .ssc file and convert to JSON
+// Node.js script to parse KOI/TOI candidates .ssc files and convert to JSON.
+// Parsing is done by shared/ssc_parser.js; this file maps the AST onto planet records.
+// Run it with --help for the command-line options (formats, filters, sorting).
 const fs = require('fs');
 const path = require('path');
+const SSCParser = require('./shared/ssc_parser');
+const StellarModel = require('./shared/stellar');
+const HabitableZone = require('./shared/habitable_zone');
+const MassRadius = require('./shared/mass_radius');
+const Units = require('./shared/units');
+const Habitability = require('./shared/habitability');
+const { readDataset, diffPlanets, hasChanges, printDiffSummary, formatDiffReport } = require('./diff_data');
 
-function parseSSCFile(filePath) {
-    const content = fs.readFileSync(filePath, 'utf-8');
+// Catalogs recognized in .ssc object IDs. The first pattern that matches
+// the quoted ID decides the mission and how names/systems are derived.
+// Candidates of one host share the integer part of their ID (K00115.01,
+// K00115.02, ...), so the system is named from that prefix.
+const CATALOGS = [
+    {
+        // Kepler Objects of Interest: "K00753.01" "Star-K00753.01"
+        mission: "Kepler",
+        idPattern: /^K\d+\.\d+$/,
+        displayName: id => `KOI-${id.replace('K', '')}`,
+        systemName: id => `KOI-${hostPrefix(id).replace('K', '')}`
+    },
+    {
+        // TESS Objects of Interest: "TOI-1011.01" "Star-1011.01"
+        mission: "TESS",
+        idPattern: /^TOI-\d+\.\d+$/,
+        displayName: id => id,
+        systemName: id => hostPrefix(id)
+    },
+    {
+        // K2 candidates: "EPIC-201367065.01" "Star-201367065.01"
+        mission: "K2",
+        idPattern: /^EPIC-?\d+\.\d+$/,
+        displayName: id => id.replace(/^EPIC-?/, 'EPIC-'),
+        systemName: id => hostPrefix(id).replace(/^EPIC-?/, 'EPIC-')
+    }
+];
+
+// Fields createPlanetRecord fills with a placeholder, as listed in a record's
+// `imputed` array when the source doesn't provide them
+const PLACEHOLDER_FIELDS = [
+    'radius',
+    'ellipticalOrbit.period',
+    'ellipticalOrbit.semiMajorAxis',
+    'ellipticalOrbit.eccentricity',
+    'ellipticalOrbit.inclination',
+    'confidence',
+    'discoveryYear'
+];
+
+// Largest radius (km) accepted for a planet: 2.5 Jupiter radii, as in
+// planet.schema.json. Catalog objects above it are stars or blends.
+const MAX_PLANET_RADIUS = 174778;
+
+/**
+ * The placeholder fields a source left out
+ * @param {Object} provided - Values read from the source, keyed by field path
+ *   (see PLACEHOLDER_FIELDS); undefined for missing ones
+ * @returns {Array<string>} Field paths that keep their placeholder
+ */
+function imputedFields(provided) {
+    return PLACEHOLDER_FIELDS.filter(field => provided[field] === undefined);
+}
+
+function findCatalog(id) {
+    return CATALOGS.find(catalog => catalog.idPattern.test(id)) || null;
+}
+
+// Drop the ".NN" planet suffix: "K00115.03" -> "K00115"
+function hostPrefix(id) {
+    return id.replace(/\.\d+$/, '');
+}
+
+/**
+ * Stable identifier of a planet's host star. Catalog star IDs (Kepler Input
+ * Catalog, TESS Input Catalog) are preferred; otherwise the system name
+ * derived from the candidate ID prefix is used.
+ * @param {Object} planet - Planet record
+ * @returns {string} e.g. "KIC 10797460", "TIC 261136679" or "KOI-00115"
+ */
+function hostIdentifier(planet) {
+    if (planet.kepid !== undefined && planet.kepid !== null) return `KIC ${planet.kepid}`;
+    if (planet.tic !== undefined && planet.tic !== null) return `TIC ${planet.tic}`;
+    return planet.system;
+}
+
+// Convert the objects of a parsed file (or piece of one) into planet records
+function planetsFromAST(ast, fileName, options) {
     const planets = [];
-    
-    // Split by planet entries - each starts with a quoted ID
-    const entries = content.split(/(?="K\d+\.\d+")/);
-    
-    entries.forEach((entry, index) => {
-        if (entry.trim().length === 0) return;
-        
+
+    ast.errors.forEach(error => {
+        console.warn(`Syntax error in ${fileName}:`, error.message);
+    });
+
+    ast.objects.forEach(object => {
         try {
-            const planet = parseEntry(entry);
+            const planet = planetFromSSCObject(object, options);
             if (planet) {
                 planets.push(planet);
             }
         } catch (error) {
-            console.warn(`Error parsing entry ${index}:`, error.message);
+            console.warn(`Error converting ${object.names[0]} (line ${object.line}):`, error.message);
         }
     });
-    
+
+    return planets;
+}
+
+function parseSSCFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+
+    // Parse the whole file, collecting syntax errors instead of stopping at the first
+    const ast = SSCParser.parse(content, { recover: true });
+    const planets = planetsFromAST(ast, path.basename(filePath), options);
+
     console.log(`Parsed ${planets.length} planets from SSC file`);
     return planets;
 }
 
-function parseEntry(entry) {
-    const lines = entry.split('\n').map(line => line.trim());
-    
-    // Extract ID and Star
-    const firstLine = lines[0];
-    const idMatch = firstLine.match(/"(K\d+\.\d+)"\s+"(Star-K\d+\.\d+)"/);
-    if (!idMatch) return null;
-    
-    const id = idMatch[1];
-    const star = idMatch[2];
+/**
+ * Read an .ssc file in chunks, converting each object as soon as it is
+ * complete, so large catalogs never have to be held in memory as text or AST
+ * @param {string} filePath - Input Celestia .ssc file
+ * @param {Object} [options] - See completePlanetRecord
+ * @returns {AsyncGenerator<Object>} Planet records, in file order
+ */
+async function* streamSSCFile(filePath, options = {}) {
+    const fileName = path.basename(filePath);
+    const reader = SSCParser.createObjectReader();
+    const convert = pieces => pieces.flatMap(piece => planetsFromAST(
+        SSCParser.parse(piece.source, { recover: true, line: piece.line, column: piece.column }),
+        fileName,
+        options
+    ));
+
+    for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf-8' })) {
+        yield* convert(reader.write(chunk));
+    }
+    yield* convert(reader.end());
+}
+
+// Read a numeric property, returning undefined when missing or not a number
+function numberProperty(block, key) {
+    const node = SSCParser.findProperty(block, key);
+    return node && node.type === 'Number' ? node.value : undefined;
+}
+
+// Read a string property, returning undefined when missing or not a string
+function stringProperty(block, key) {
+    const node = SSCParser.findProperty(block, key);
+    return node && node.type === 'String' ? node.value : undefined;
+}
+
+// Confidence is written as 55%, "55%" or a 0-1 decimal; normalize to 0-1
+function confidenceProperty(block) {
+    const node = SSCParser.findProperty(block, 'Confidence');
+    if (!node) return undefined;
+
+    if (node.type === 'Number') {
+        return node.unit === '%' || node.value > 1 ? node.value / 100 : node.value;
+    }
+    if (node.type === 'String') {
+        const percentMatch = node.value.match(/([\d.]+)%/);
+        if (percentMatch) {
+            return parseFloat(percentMatch[1]) / 100;
+        }
+        const decimalMatch = node.value.match(/([\d.]+)/);
+        if (decimalMatch) {
+            const val = parseFloat(decimalMatch[1]);
+            return val > 1 ? val / 100 : val;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Map a parsed .ssc object onto the planet record used by the viewers
+ * @param {Object} object - Object node from SSCParser.parse
+ * @param {Object} [options] - See completePlanetRecord
+ * @returns {Object|null} Planet record, or null if the object isn't a known catalog planet
+ */
+function planetFromSSCObject(object, options = {}) {
+    const id = object.names[0];
+    const star = object.parent;
+
+    // Skip objects from catalogs we don't know how to name
+    const catalog = findCatalog(id);
+    if (!catalog) return null;
     
-    // Initialize planet object
+    const planet = createPlanetRecord(id, star, catalog);
+
+    // Copy over every property present in the object body or its nested blocks
+    const body = object.properties;
+    const orbit = planet.ellipticalOrbit;
+    const fields = {
+        class: stringProperty(body, 'Class'),
+        radius: numberProperty(body, 'Radius'),
+        texture: stringProperty(body, 'Texture'),
+        distance: Units.distanceFromText(stringProperty(body, 'Distance')),
+        confidence: confidenceProperty(body),
+        temperature: numberProperty(body, 'Temperature')
+    };
+    const orbitFields = {
+        period: numberProperty(body, 'Period'),
+        semiMajorAxis: numberProperty(body, 'SemiMajorAxis'),
+        eccentricity: numberProperty(body, 'Eccentricity'),
+        inclination: numberProperty(body, 'Inclination')
+    };
+
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) planet[key] = value;
+    });
+    Object.entries(orbitFields).forEach(([key, value]) => {
+        if (value !== undefined) orbit[key] = value;
+    });
+
+    planet.imputed = imputedFields({
+        'radius': fields.radius,
+        'ellipticalOrbit.period': orbitFields.period,
+        'ellipticalOrbit.semiMajorAxis': orbitFields.semiMajorAxis,
+        'ellipticalOrbit.eccentricity': orbitFields.eccentricity,
+        'ellipticalOrbit.inclination': orbitFields.inclination,
+        'confidence': fields.confidence
+    });
+
+    return completePlanetRecord(planet, options);
+}
+
+/**
+ * Create a planet record with the schema defaults used by koiData.json
+ * @param {string} id - Catalog object ID (e.g. "K00753.01")
+ * @param {string} star - Host star name (e.g. "Star-K00753.01")
+ * @param {Object} catalog - Entry from CATALOGS
+ * @returns {Object} Planet record with default values
+ */
+function createPlanetRecord(id, star, catalog) {
     const planet = {
         id: id,
         star: star,
+        stellar: null, // Host star record, completed by completePlanetRecord
         class: "Planet",
-        radius: 6371, // Default Earth radius
+        radius: 6371, // Always km (a plain number, unlike mass); default Earth radius
         texture: "unknown.jpg",
         ellipticalOrbit: {
             period: 365.25,
@@ -50,143 +250,77 @@ function parseEntry(entry) {
             eccentricity: 0.0,
             inclination: 0.0
         },
-        name: `KOI-${id.replace('K', '').replace('.', '.')}`,
-        system: star.replace('Star-', ''),
+        name: catalog.displayName(id),
+        system: catalog.systemName(id),
+        hostId: null, // Host star identifier, set by completePlanetRecord
         type: "Unknown",
-        mass: "Unknown",
+        mass: null, // { value, lower, upper, unit: "earthMass", source: "estimated" }, from the radius
         discoveryYear: 2024,
-        mission: "Kepler",
+        mission: catalog.mission,
         status: "candidate",
         confidence: 0.5,
-        distance: "Distance unknown",
-        temperature: null, // Equilibrium temperature in Kelvin
-        inHabitableZone: false
+        distance: null, // { value, unit: "pc" } from Earth
+        temperature: null, // Equilibrium temperature, always Kelvin
+        temperatureSource: null, // "measured", "computed" (host star) or "assumed" (modelled host star)
+        insolation: null, // Stellar flux relative to Earth's (S/S⊕)
+        inHabitableZone: false,
+        habitableZone: null, // "conservative", "optimistic" or null (Kopparapu et al. 2014)
+        imputed: PLACEHOLDER_FIELDS.slice() // Fields still holding the placeholders above
     };
-    
-    // Parse each line
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
-        if (line.includes('Radius')) {
-            const radiusMatch = line.match(/Radius\s+([\d.]+)/);
-            if (radiusMatch) {
-                planet.radius = parseFloat(radiusMatch[1]);
-            }
-        }
-        
-        if (line.includes('Texture')) {
-            const textureMatch = line.match(/Texture\s+"([^"]+)"/);
-            if (textureMatch) {
-                planet.texture = textureMatch[1];
-            }
-        }
-        
-        if (line.includes('Period')) {
-            const periodMatch = line.match(/Period\s+([\d.]+)/);
-            if (periodMatch) {
-                planet.ellipticalOrbit.period = parseFloat(periodMatch[1]);
-            }
-        }
-        
-        if (line.includes('SemiMajorAxis')) {
-            const axisMatch = line.match(/SemiMajorAxis\s+([\d.]+)/);
-            if (axisMatch) {
-                planet.ellipticalOrbit.semiMajorAxis = parseFloat(axisMatch[1]);
-            }
-        }
-        
-        if (line.includes('Eccentricity')) {
-            const eccMatch = line.match(/Eccentricity\s+([\d.]+)/);
-            if (eccMatch) {
-                planet.ellipticalOrbit.eccentricity = parseFloat(eccMatch[1]);
-            }
-        }
-        
-        if (line.includes('Inclination')) {
-            const incMatch = line.match(/Inclination\s+([\d.]+)/);
-            if (incMatch) {
-                planet.ellipticalOrbit.inclination = parseFloat(incMatch[1]);
-            }
-        }
 
-        if (line.includes('Distance')) {
-            const distMatch = line.match(/Distance\s+"([^"]+)"/);
-            if (distMatch) {
-                planet.distance = distMatch[1];
-            }
-        }
+    return planet;
+}
 
-        if (line.includes('Confidence')) {
-            const confMatch = line.match(/Confidence\s+"([^"]+)"/);
-            if (confMatch) {
-                // Extract percentage and convert to decimal (e.g., "55%" -> 0.55)
-                const percentMatch = confMatch[1].match(/([\d.]+)%/);
-                if (percentMatch) {
-                    planet.confidence = parseFloat(percentMatch[1]) / 100;
-                } else {
-                    // If no percentage found, try to parse as decimal
-                    const decimalMatch = confMatch[1].match(/([\d.]+)/);
-                    if (decimalMatch) {
-                        const val = parseFloat(decimalMatch[1]);
-                        planet.confidence = val > 1 ? val / 100 : val;
-                    }
-                }
-            }
-        }
 
-        if (line.includes('Temperature')) {
-            const tempMatch = line.match(/Temperature\s+([\d.]+)/);
-            if (tempMatch) {
-                planet.temperature = parseFloat(tempMatch[1]);
-            }
-        }
+/**
+ * Fill in the derived fields (type, mass, temperature, habitability metrics) of a planet record
+ * @param {Object} planet - Planet record with observed fields populated
+ * @param {Object} [options]
+ * @param {Object} [options.temperatureModel] - Bond albedo and heat redistribution for
+ *   computed temperatures (see Habitability.TEMPERATURE_MODEL)
+ * @returns {Object} The same record, completed
+ * @throws {Error} If the radius is too large for a planet (see MAX_PLANET_RADIUS)
+ */
+function completePlanetRecord(planet, options = {}) {
+    if (planet.radius > MAX_PLANET_RADIUS) {
+        throw new Error(`radius ${planet.radius} km is over 2.5 Jupiter radii, too large for a planet`);
     }
 
-    // Determine planet type based on radius
-    planet.type = determinePlanetType(planet.radius);
+    // Equilibrium temperature from the catalog, else from the host star; the
+    // source depends on whether the star was measured, so this comes first
+    const temperature = Habitability.planetTemperature(planet, options.temperatureModel);
+    planet.temperature = temperature.value;
+    planet.temperatureSource = temperature.source;
 
-    // Estimate mass based on radius and type
-    planet.mass = estimateMass(planet.radius, planet.type);
+    // Complete the host star record from measured values and the planet's orbit;
+    // placeholder orbits would give the star a dynamical mass, so they are left out
+    const orbit = Habitability.measuredOrbit(planet);
+    planet.stellar = StellarModel.estimateStellarProperties(planet.stellar || {}, orbit);
 
-    // Check if in habitable zone (rough estimate based on semi-major axis)
-    planet.inHabitableZone = isInHabitableZone(planet.ellipticalOrbit.semiMajorAxis);
+    // Stellar flux at the planet (S/S⊕) from the catalog, else the star's luminosity
+    planet.insolation = Habitability.planetInsolation(planet);
 
-    // If distance wasn't parsed from file, use default
-    if (!planet.distance) {
-        planet.distance = "Distance unknown";
-    }
+    // Planets sharing a hostId orbit the same star
+    planet.hostId = hostIdentifier(planet);
 
-    // Calculate ESI and Habitability Index
-    const earthRadius = 6371; // km
-    const radiusInEarthRadii = planet.radius / earthRadius;
-
-    // Use temperature if available from .ssc file, otherwise calculate a test value
-    let temperature;
-    if (planet.temperature !== null && planet.temperature !== undefined) {
-        temperature = planet.temperature;
-    } else {
-        // Calculate test temperature based on orbital distance (semi-major axis)
-        // Using simplified Stefan-Boltzmann approximation: T ∝ 1/√distance
-        // Earth: 1 AU → 288 K
-        const semiMajorAxis = planet.ellipticalOrbit.semiMajorAxis;
-        temperature = 288 * Math.pow(semiMajorAxis, -0.5);
-
-        // Store the calculated test temperature
-        planet.temperature = Math.round(temperature * 100) / 100; // Round to 2 decimals
-    }
+    // Determine planet type based on radius
+    planet.type = determinePlanetType(planet.radius);
 
-    // Calculate Earth Similarity Index (ESI)
-    planet.esi = earthSimilarityIndex(
-        radiusInEarthRadii,
-        temperature,
-        planet.ellipticalOrbit.period
-    );
+    // Estimate mass (with 1σ bounds) from the Chen & Kipping mass–radius relation
+    planet.mass = MassRadius.planetMass(planet);
 
-    // Calculate Habitability Index (HI)
-    planet.habitabilityIndex = habitabilityIndex(
-        radiusInEarthRadii,
-        temperature
+    // Check if in the host star's habitable zone (optimistic limits count)
+    planet.habitableZone = HabitableZone.classifyOrbit(
+        planet.stellar,
+        orbit.semiMajorAxis,
+        planet.insolation
     );
+    planet.inHabitableZone = planet.habitableZone !== null;
+
+    // ESI and Habitability Index
+    const metrics = Habitability.planetMetrics(planet);
+    planet.esi = metrics.esi;
+    planet.habitabilityIndex = metrics.habitabilityIndex;
 
     return planet;
 }
@@ -202,120 +336,455 @@ function determinePlanetType(radius) {
     return "Terrestrial";  // Covers Earth-sized and smaller
 }
 
-function estimateMass(radius, type) {
-    const earthRadius = 6371;
-    const relativeSize = radius / earthRadius;
-    
-    if (type === "Gas Giant") {
-        const jupiterMass = Math.min(relativeSize * 0.4, 50); // Cap at 50 Jupiter masses
-        return `${jupiterMass.toFixed(2)} Jupiters`;
+/**
+ * Print how many records kept each placeholder field
+ * @param {Array} planets - Planet records
+ */
+function printImputedSummary(planets) {
+    const counts = {};
+    planets.forEach(p => {
+        (p.imputed || []).forEach(field => {
+            counts[field] = (counts[field] || 0) + 1;
+        });
+    });
+
+    const fields = PLACEHOLDER_FIELDS.filter(field => counts[field]);
+    if (fields.length === 0) {
+        console.log('\n🧩 No imputed fields');
+        return;
     }
-    if (type === "Neptune-like") {
-        const earthMass = relativeSize * relativeSize * 3.0; // Neptune density factor
-        return `${earthMass.toFixed(2)} Earths`;
+    console.log('\n🧩 Imputed fields (placeholder values kept):');
+    fields.forEach(field => {
+        console.log(`  ${field}: ${counts[field]}/${planets.length}`);
+    });
+}
+
+// Output formats: a JSON array (indented, as the viewers load it) or
+// newline-delimited JSON with one record per line
+const OUTPUT_FORMATS = ['json', 'ndjson'];
+
+function outputFormat(filePath) {
+    return /\.(ndjson|jsonl)$/i.test(filePath) ? 'ndjson' : 'json';
+}
+
+function serializeDataset(planets, format) {
+    if (format === 'ndjson') {
+        return planets.map(planet => JSON.stringify(planet)).join('\n') + '\n';
     }
-    if (type === "Sub-Neptune") {
-        const earthMass = relativeSize * relativeSize * 2.5; // Density factor
-        return `${earthMass.toFixed(2)} Earths`;
+    return JSON.stringify(planets, null, 2);
+}
+
+/**
+ * Write a dataset. When the file already exists the new records are
+ * compared with it first: the changes are printed (and written to
+ * options.reportPath as Markdown), and an unchanged file is left alone.
+ * @param {string} outputPath - Output file
+ * @param {Array} planets - Planet records
+ * @param {Object} [options]
+ * @param {string} [options.format] - "json" or "ndjson"; by default NDJSON
+ *   for .ndjson/.jsonl files and JSON otherwise
+ * @param {string} [options.reportPath] - Where to write the Markdown change report
+ * @returns {Object|null} The diff (see diffPlanets), or null for a new file
+ */
+function writeDataset(outputPath, planets, options = {}) {
+    let previous = null;
+    if (fs.existsSync(outputPath)) {
+        try {
+            previous = readDataset(outputPath);
+        } catch (error) {
+            console.warn(`⚠️  Cannot compare with ${outputPath}, overwriting it:`, error.message);
+        }
     }
-    if (type === "Super-Earth") {
-        const earthMass = relativeSize * relativeSize * 1.2;
-        return `${earthMass.toFixed(2)} Earths`;
+
+    const diff = Array.isArray(previous) ? diffPlanets(previous, planets) : null;
+    if (diff) {
+        printDiffSummary(diff, path.basename(outputPath));
+        if (options.reportPath) {
+            fs.writeFileSync(options.reportPath, formatDiffReport(diff, path.basename(outputPath)));
+            console.log(`📝 Change report written to ${options.reportPath}`);
+        }
+        if (!hasChanges(diff)) return diff;
     }
-    // Terrestrial planets
-    const earthMass = relativeSize * relativeSize * 1.0;
-    return `${earthMass.toFixed(2)} Earths`;
+
+    fs.writeFileSync(outputPath, serializeDataset(planets, options.format || outputFormat(outputPath)));
+    return diff;
 }
 
-function isInHabitableZone(semiMajorAxis) {
-    // Rough habitable zone for Sun-like stars: 0.95 - 1.37 AU
-    return semiMajorAxis >= 0.5 && semiMajorAxis <= 2.0;
+/**
+ * Print the type distribution, habitable count, imputed fields, temperature
+ * sources and host systems of a set of planets
+ * @param {Array} planets - Planet records
+ */
+function printStatistics(planets) {
+    if (planets.length === 0) {
+        console.log('\n📊 No planets selected');
+        return;
+    }
+
+    const types = {};
+    planets.forEach(p => {
+        types[p.type] = (types[p.type] || 0) + 1;
+    });
+
+    console.log('\n📊 Planet type distribution:');
+    Object.entries(types).forEach(([type, count]) => {
+        console.log(`  ${type}: ${count}`);
+    });
+
+    const habitableCount = planets.filter(p => p.inHabitableZone).length;
+    const conservativeCount = planets.filter(p => p.habitableZone === 'conservative').length;
+    console.log(`\n🌱 Potentially habitable: ${habitableCount}/${planets.length} (${conservativeCount} in the conservative zone)`);
+
+    printImputedSummary(planets);
+
+    const temperatureSources = {};
+    planets.forEach(p => {
+        const source = p.temperatureSource || 'unknown';
+        temperatureSources[source] = (temperatureSources[source] || 0) + 1;
+    });
+    const sourceSummary = Object.entries(temperatureSources)
+        .map(([source, count]) => `${count} ${source}`)
+        .join(', ');
+    console.log(`🌡️  Temperatures: ${sourceSummary}`);
+
+    const hostCounts = {};
+    planets.forEach(p => {
+        hostCounts[p.hostId] = (hostCounts[p.hostId] || 0) + 1;
+    });
+    const hosts = Object.values(hostCounts);
+    const multiPlanetHosts = hosts.filter(count => count > 1).length;
+    console.log(`🪐 Host systems: ${hosts.length} (${multiPlanetHosts} with multiple candidates)`);
 }
 
 /**
- * Calculate the Earth Similarity Index (ESI) for an exoplanet
- * @param {number} Rp - Planet radius in Earth radii
- * @param {number} Teq - Equilibrium temperature in Kelvin
- * @param {number} Porb - Orbital period in days
- * @returns {number} ESI: 0 (very different) to 1 (identical to Earth)
+ * Drop records whose ID appeared before. Catalogs list some candidates more
+ * than once; the later entry replaces the earlier one in its place, as a
+ * Celestia "Replace" would.
+ * @param {Array} planets - Planet records
+ * @returns {Array} Records with unique IDs, in order of first appearance
  */
-function earthSimilarityIndex(Rp, Teq, Porb) {
-    // Earth reference values
-    const R_earth = 1.0;
-    const T_earth = 288.0;
-    const P_earth = 365.25;
-
-    // Helper similarity function
-    function S(x, x0, w) {
-        return Math.pow(1 - Math.abs((x - x0) / (x + x0)), w);
+function dedupePlanets(planets) {
+    const byId = new Map();
+    planets.forEach(planet => byId.set(planet.id, planet));
+    if (byId.size < planets.length) {
+        console.warn(`⚠️  ${planets.length - byId.size} duplicate records replaced by a later entry with the same ID`);
     }
+    return Array.from(byId.values());
+}
+
+/**
+ * Stream an .ssc file into planet records and write them to a JSON dataset,
+ * reporting the changes against the dataset it replaces
+ * @param {string} sscFilePath - Input Celestia .ssc file
+ * @param {string} outputPath - Output JSON file
+ * @param {Object} [options] - See completePlanetRecord and writeDataset
+ * @returns {Promise<Array>} Parsed planets
+ */
+async function convertSSCFile(sscFilePath, outputPath, options = {}) {
+    let planets = [];
+    for await (const planet of streamSSCFile(sscFilePath, options)) {
+        planets.push(planet);
+    }
+    console.log(`Parsed ${planets.length} planets from SSC file`);
+    planets = dedupePlanets(planets);
 
-    // Weights (rebalanced since mass was removed)
-    const w_R = 0.57;
-    const w_T = 5.58;
-    const w_P = 0.70;
+    // Save all planets (no limit for better data coverage)
+    writeDataset(outputPath, planets, options);
+    console.log(`✅ Successfully converted ${planets.length} candidates to ${outputPath}`);
 
-    const esi = Math.pow(
-        S(Rp, R_earth, w_R) *
-        S(Teq, T_earth, w_T) *
-        S(Porb, P_earth, w_P),
-        1 / 3
+    printStatistics(planets);
+    return planets;
+}
+
+/**
+ * Select planets by status, type, confidence and habitable zone
+ * @param {Array} planets - Planet records
+ * @param {Object} [filters]
+ * @param {Array<string>} [filters.status] - Accepted statuses
+ * @param {Array<string>} [filters.type] - Accepted planet types
+ * @param {number} [filters.minConfidence] - Lowest accepted confidence
+ * @param {boolean} [filters.habitable] - Only planets in the habitable zone
+ * @returns {Array} Matching planets, in their original order
+ */
+function filterPlanets(planets, filters = {}) {
+    return planets.filter(p =>
+        (!filters.status || filters.status.includes(p.status)) &&
+        (!filters.type || filters.type.includes(p.type)) &&
+        (filters.minConfidence === undefined || p.confidence >= filters.minConfidence) &&
+        (!filters.habitable || p.inHabitableZone === true)
     );
+}
 
-    return esi;
+/**
+ * Sort planets by a field; records without a value for it go last
+ * @param {Array} planets - Planet records (not modified)
+ * @param {string} field - Field path, e.g. "confidence" or "ellipticalOrbit.period";
+ *   quantities such as mass sort by their value
+ * @param {boolean} [descending=false]
+ * @returns {Array} Sorted copy
+ */
+function sortPlanets(planets, field, descending = false) {
+    const valueOf = planet => {
+        const value = field.split('.').reduce((v, key) => (v === null || v === undefined ? undefined : v[key]), planet);
+        return value && typeof value === 'object' && 'value' in value ? value.value : value;
+    };
+    const direction = descending ? -1 : 1;
+    return planets.slice().sort((a, b) => {
+        const x = valueOf(a);
+        const y = valueOf(b);
+        const xMissing = x === undefined || x === null;
+        const yMissing = y === undefined || y === null;
+        if (xMissing || yMissing) return xMissing - yMissing;
+        if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+        return String(x).localeCompare(String(y)) * direction;
+    });
 }
 
+// Command-line options by long name; `value` options take an argument
+const CLI_OPTIONS = {
+    output: { alias: 'o', value: true },
+    from: { value: true },
+    to: { value: true },
+    status: { value: true },
+    type: { value: true },
+    'min-confidence': { value: true },
+    habitable: {},
+    sort: { value: true },
+    desc: {},
+    limit: { value: true },
+    stats: {},
+    report: { value: true },
+    help: { alias: 'h' }
+};
+
+const INPUT_FORMATS = ['ssc', 'csv', 'json'];
+const STATUSES = ['confirmed', 'candidate', 'false_positive'];
+
+const USAGE = `Usage: node parse_koi.js [input ...] [options]
+
+Converts .ssc catalogs, NASA Exoplanet Archive KOI tables (.csv) or existing
+datasets (.json, .ndjson) into planet records. Several inputs are merged.
+Without arguments, koi_candidates.ssc and toi_candidates.ssc are converted to
+koiData.json and tessData.json.
+
+Options:
+  -o, --output <file>       Write the selected planets here
+  --from <ssc|csv|json>     Input format (default: from the file extension)
+  --to <json|ndjson>        Output format (default: ndjson for .ndjson/.jsonl)
+  --status <list>           Only these statuses, e.g. confirmed,candidate
+  --type <list>             Only these types, e.g. "Super-Earth,Terrestrial"
+  --min-confidence <0-1>    Only planets with at least this confidence
+  --habitable               Only planets in the habitable zone
+  --sort <field>            Sort by a field, e.g. radius or ellipticalOrbit.period
+  --desc                    Sort in descending order
+  --limit <n>               Keep the first n planets (after sorting)
+  --stats                   Print type distribution and other statistics
+  --report <file.md>        Write a Markdown report of the changes to --output
+  -h, --help                Show this help`;
+
+// Default conversions when the script runs without arguments
+const DEFAULT_CONVERSIONS = [
+    { input: './koi_candidates.ssc', output: './koiData.json' },
+    { input: './toi_candidates.ssc', output: './tessData.json' }
+];
+
 /**
- * Estimate a simple habitability index based on radius and temperature
- * @param {number} Rp - Planet radius in Earth radii
- * @param {number} Teq - Equilibrium temperature in Kelvin
- * @returns {number} HI: 0 (uninhabitable) to 1 (Earth-like)
+ * Split command-line arguments into input files and options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { inputs, options }, options keyed by long name
+ * @throws {Error} For unknown options or missing values
  */
-function habitabilityIndex(Rp, Teq) {
-    // Ideal values and tolerances
-    const R_opt = 1.0;
-    const R_tol = 0.5;     // Earth radius ±0.5
-    const T_opt = 288.0;
-    const T_tol = 60.0;    // Earth temperature ±60 K
-
-    // Normalized similarity scores
-    const R_score = Math.max(0, 1 - Math.abs(Rp - R_opt) / R_tol);
-    const T_score = Math.max(0, 1 - Math.abs(Teq - T_opt) / T_tol);
-
-    // Equal weighting
-    const HI = (R_score + T_score) / 2;
-    return HI;
+function parseArguments(argv) {
+    const inputs = [];
+    const options = {};
+    const names = Object.keys(CLI_OPTIONS);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            inputs.push(arg);
+            continue;
+        }
+
+        // --name=value, --name value, -o value
+        const [flag, inlineValue] = arg.split(/=(.*)/s);
+        const name = flag.startsWith('--')
+            ? flag.slice(2)
+            : names.find(key => CLI_OPTIONS[key].alias === flag.slice(1));
+        if (!name || !CLI_OPTIONS[name]) {
+            throw new Error(`Unknown option ${flag}`);
+        }
+
+        if (CLI_OPTIONS[name].value) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new Error(`${flag} needs a value`);
+            options[name] = value;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { inputs, options };
 }
 
-// Main execution
-if (require.main === module) {
-    const sscFilePath = './koi_candidates.ssc';
-    const outputPath = './koiData.json';
-    
+function inputFormat(filePath, from) {
+    if (from) return from;
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (['json', 'ndjson', 'jsonl'].includes(extension)) return 'json';
+    return extension;
+}
+
+function listOption(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Turn the filter options into filterPlanets() arguments, checking their values
+function filtersFromOptions(options) {
+    const filters = {};
+
+    if (options.status) {
+        filters.status = listOption(options.status);
+        const unknown = filters.status.filter(status => !STATUSES.includes(status));
+        if (unknown.length) throw new Error(`Unknown status ${unknown.join(', ')} (expected ${STATUSES.join(', ')})`);
+    }
+    if (options.type) {
+        filters.type = listOption(options.type);
+    }
+    if (options['min-confidence'] !== undefined) {
+        filters.minConfidence = parseFloat(options['min-confidence']);
+        if (!(filters.minConfidence >= 0 && filters.minConfidence <= 1)) {
+            throw new Error('--min-confidence must be a number from 0 to 1');
+        }
+    }
+    if (options.habitable) {
+        filters.habitable = true;
+    }
+
+    return filters;
+}
+
+async function loadPlanets(filePath, format) {
+    switch (format) {
+        case 'ssc': {
+            const planets = [];
+            for await (const planet of streamSSCFile(filePath)) {
+                planets.push(planet);
+            }
+            console.log(`Parsed ${planets.length} planets from ${filePath}`);
+            return planets;
+        }
+        case 'csv':
+            // Required here: parse_koi_csv.js requires this module
+            return require('./parse_koi_csv').parseKOICSVFile(filePath);
+        case 'json': {
+            const planets = readDataset(filePath);
+            console.log(`Read ${planets.length} planets from ${filePath}`);
+            return planets;
+        }
+        default:
+            throw new Error(`Cannot tell the format of ${filePath}; use --from ${INPUT_FORMATS.join('|')}`);
+    }
+}
+
+/**
+ * Run the command-line interface (see USAGE)
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit status
+ */
+async function runCLI(argv) {
+    if (argv.length === 0) {
+        let failed = false;
+        for (const { input, output } of DEFAULT_CONVERSIONS) {
+            if (!fs.existsSync(input)) {
+                console.warn(`⚠️  Skipping ${input}: file not found`);
+                continue;
+            }
+
+            try {
+                console.log(`\n🔭 Converting ${input}...`);
+                await convertSSCFile(input, output);
+            } catch (error) {
+                console.error(`❌ Error parsing SSC file ${input}:`, error);
+                failed = true;
+            }
+        }
+        return failed ? 1 : 0;
+    }
+
     try {
-        const planets = parseSSCFile(sscFilePath);
-        
-        // Save all planets (no limit for better data coverage)
-        fs.writeFileSync(outputPath, JSON.stringify(planets, null, 2));
-        console.log(`✅ Successfully converted ${planets.length} KOI candidates to ${outputPath}`);
-        
-        // Print some statistics
-        const types = {};
-        planets.forEach(p => {
-            types[p.type] = (types[p.type] || 0) + 1;
-        });
-        
-        console.log('\n📊 Planet type distribution:');
-        Object.entries(types).forEach(([type, count]) => {
-            console.log(`  ${type}: ${count}`);
-        });
-        
-        const habitableCount = planets.filter(p => p.inHabitableZone).length;
-        console.log(`\n🌱 Potentially habitable: ${habitableCount}/${planets.length}`);
-        
+        const { inputs, options } = parseArguments(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (inputs.length === 0) throw new Error('No input file');
+        if (!options.output && !options.stats) throw new Error('Nothing to do: give --output, --stats or both');
+        if (options.from && !INPUT_FORMATS.includes(options.from)) {
+            throw new Error(`--from must be one of ${INPUT_FORMATS.join(', ')}`);
+        }
+        if (options.to && !OUTPUT_FORMATS.includes(options.to)) {
+            throw new Error(`--to must be one of ${OUTPUT_FORMATS.join(', ')}`);
+        }
+        if (options.report && !options.output) throw new Error('--report needs --output');
+        const limit = options.limit !== undefined ? Number(options.limit) : undefined;
+        if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) {
+            throw new Error('--limit must be a whole number');
+        }
+        const filters = filtersFromOptions(options);
+
+        let planets = [];
+        for (const input of inputs) {
+            if (!fs.existsSync(input)) throw new Error(`${input}: file not found`);
+            console.log(`\n🔭 Reading ${input}...`);
+            planets = planets.concat(await loadPlanets(input, inputFormat(input, options.from)));
+        }
+
+        planets = dedupePlanets(planets);
+        planets = filterPlanets(planets, filters);
+        if (options.sort) planets = sortPlanets(planets, options.sort, options.desc === true);
+        if (limit !== undefined) planets = planets.slice(0, limit);
+
+        if (options.output) {
+            writeDataset(options.output, planets, { format: options.to, reportPath: options.report });
+            console.log(`✅ Wrote ${planets.length} planets to ${options.output}`);
+        }
+        if (options.stats) {
+            printStatistics(planets);
+        }
+        return 0;
     } catch (error) {
-        console.error('❌ Error parsing SSC file:', error);
+        console.error(`❌ ${error.message}`);
+        console.error('Run "node parse_koi.js --help" for the options.');
+        return 1;
     }
 }
 
-module.exports = { parseSSCFile };
\ No newline at end of file
+// Exported before the CLI runs, since the CSV reader requires this module
+module.exports = {
+    parseSSCFile,
+    streamSSCFile,
+    planetFromSSCObject,
+    createPlanetRecord,
+    completePlanetRecord,
+    findCatalog,
+    hostIdentifier,
+    imputedFields,
+    printImputedSummary,
+    PLACEHOLDER_FIELDS,
+    dedupePlanets,
+    readDataset,
+    writeDataset,
+    printStatistics,
+    filterPlanets,
+    sortPlanets,
+    parseArguments,
+    convertSSCFile,
+    CATALOGS
+};
+
+// Main execution
+if (require.main === module) {
+    runCLI(process.argv.slice(2)).then(status => {
+        process.exitCode = status;
+    });
+}
@@ -0,0 +1,257 @@
+// Node.js script to convert the NASA Exoplanet Archive cumulative KOI table
+// (cumulative_*.csv) into the koiData.json schema used by the viewers.
+const fs = require('fs');
+const path = require('path');
+const {
+    createPlanetRecord,
+    completePlanetRecord,
+    findCatalog,
+    imputedFields,
+    printImputedSummary,
+    writeDataset
+} = require('./parse_koi');
+const StellarModel = require('./shared/stellar');
+
+const EARTH_RADIUS_KM = 6371;
+
+// koi_disposition values and the status names used in koiData.json
+const DISPOSITION_STATUS = {
+    'CONFIRMED': 'confirmed',
+    'CANDIDATE': 'candidate',
+    'FALSE POSITIVE': 'false_positive'
+};
+
+/**
+ * Parse CSV text into an array of row objects keyed by the header row.
+ * Lines starting with '#' (the archive's metadata header) are skipped.
+ * @param {string} text - CSV file contents
+ * @returns {Array<Object>} Rows with string values
+ */
+function parseCSV(text) {
+    const records = [];
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let atLineStart = true;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (atLineStart && !inQuotes && ch === '#') {
+            // Skip comment lines entirely
+            while (i < text.length && text[i] !== '\n') i++;
+            continue;
+        }
+        atLineStart = false;
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            if (record.length > 1 || record[0] !== '') records.push(record);
+            record = [];
+            field = '';
+            atLineStart = true;
+        } else {
+            field += ch;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    if (records.length === 0) return [];
+
+    const header = records[0].map(name => name.trim());
+    return records.slice(1).map(values => {
+        const row = {};
+        header.forEach((name, index) => {
+            row[name] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return row;
+    });
+}
+
+// Archive cells are empty when a value is unknown
+function numberColumn(row, column) {
+    const value = row[column];
+    if (value === undefined || value === '') return undefined;
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+function scale(value, factor) {
+    return value === undefined ? undefined : value * factor;
+}
+
+// Kepler's third law in solar units: a³ [AU] = M [M☉] · P² [years]
+function semiMajorAxisFromPeriod(periodDays, starMass) {
+    const periodYears = periodDays / 365.25;
+    return Math.cbrt(starMass * periodYears * periodYears);
+}
+
+/**
+ * Map one row of the cumulative KOI table onto a planet record
+ * @param {Object} row - Row from parseCSV
+ * @param {Object} [options] - See completePlanetRecord
+ * @returns {Object|null} Planet record, or null if the row has no KOI name
+ */
+function planetFromCSVRow(row, options = {}) {
+    const id = row.kepoi_name;
+    if (!id) return null;
+
+    const catalog = findCatalog(id);
+    if (!catalog) return null;
+
+    const planet = createPlanetRecord(id, `Star-${id}`, catalog);
+    const orbit = planet.ellipticalOrbit;
+
+    const kepid = numberColumn(row, 'kepid');
+    if (kepid !== undefined) planet.kepid = kepid;
+    if (row.kepler_name) planet.keplerName = row.kepler_name;
+
+    const status = DISPOSITION_STATUS[(row.koi_disposition || '').toUpperCase()];
+    if (status) planet.status = status;
+
+    const fields = {
+        // koi_prad is in Earth radii; the schema stores kilometers
+        radius: scale(numberColumn(row, 'koi_prad'), EARTH_RADIUS_KM),
+        temperature: numberColumn(row, 'koi_teq'),
+        confidence: numberColumn(row, 'koi_score'),
+        insolation: numberColumn(row, 'koi_insol'),
+        // koi_depth is in parts per million; transitDepth is a fraction of stellar flux
+        transitDepth: scale(numberColumn(row, 'koi_depth'), 1e-6),
+        transitDuration: numberColumn(row, 'koi_duration'),
+        ra: numberColumn(row, 'ra'),
+        dec: numberColumn(row, 'dec')
+    };
+    const orbitFields = {
+        period: numberColumn(row, 'koi_period'),
+        semiMajorAxis: numberColumn(row, 'koi_sma'),
+        eccentricity: numberColumn(row, 'koi_eccen'),
+        inclination: numberColumn(row, 'koi_incl')
+    };
+    const stellarFields = {
+        effectiveTemperature: numberColumn(row, 'koi_steff'),
+        radius: numberColumn(row, 'koi_srad'),
+        mass: numberColumn(row, 'koi_smass'),
+        surfaceGravity: numberColumn(row, 'koi_slogg')
+    };
+
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) planet[key] = value;
+    });
+    Object.entries(orbitFields).forEach(([key, value]) => {
+        if (value !== undefined) orbit[key] = value;
+    });
+
+    const stellar = {};
+    Object.entries(stellarFields).forEach(([key, value]) => {
+        if (value !== undefined) stellar[key] = value;
+    });
+    if (Object.keys(stellar).length > 0) planet.stellar = stellar;
+
+    planet.imputed = imputedFields({
+        'radius': fields.radius,
+        'ellipticalOrbit.period': orbitFields.period,
+        // Derived from the period below when koi_sma is missing
+        'ellipticalOrbit.semiMajorAxis': orbitFields.semiMajorAxis !== undefined ? orbitFields.semiMajorAxis : orbitFields.period,
+        'ellipticalOrbit.eccentricity': orbitFields.eccentricity,
+        'ellipticalOrbit.inclination': orbitFields.inclination,
+        'confidence': fields.confidence
+    });
+
+    // Older exports lack koi_sma; derive it from the period with Kepler's third law
+    if (orbitFields.semiMajorAxis === undefined && orbitFields.period !== undefined) {
+        const starMass = StellarModel.estimateStellarProperties(stellar).mass;
+        orbit.semiMajorAxis = semiMajorAxisFromPeriod(orbitFields.period, starMass);
+    }
+
+    return completePlanetRecord(planet, options);
+}
+
+/**
+ * Read a cumulative KOI CSV file and convert every row to a planet record
+ * @param {string} filePath - Path to the archive CSV export
+ * @param {Object} [options] - See completePlanetRecord
+ * @returns {Array} Planet records
+ */
+function parseKOICSVFile(filePath, options = {}) {
+    const rows = parseCSV(fs.readFileSync(filePath, 'utf-8'));
+    const planets = [];
+
+    rows.forEach((row, index) => {
+        try {
+            const planet = planetFromCSVRow(row, options);
+            if (planet) {
+                planets.push(planet);
+            }
+        } catch (error) {
+            console.warn(`Error converting row ${index + 1}:`, error.message);
+        }
+    });
+
+    console.log(`Parsed ${planets.length} planets from ${rows.length} CSV rows`);
+    return planets;
+}
+
+// Pick the most recent archive export in a directory (names embed the download timestamp)
+function findLatestCumulativeCSV(directory) {
+    const candidates = fs.readdirSync(directory)
+        .filter(name => /^cumulative_.*\.csv$/.test(name))
+        .sort();
+    return candidates.length > 0 ? path.join(directory, candidates[candidates.length - 1]) : null;
+}
+
+// Main execution
+if (require.main === module) {
+    const csvFilePath = process.argv[2] || findLatestCumulativeCSV('.');
+    const outputPath = process.argv[3] || './koiData.json';
+
+    if (!csvFilePath) {
+        console.error('❌ No cumulative_*.csv file found. Usage: node parse_koi_csv.js <input.csv> [output.json]');
+        process.exit(1);
+    }
+
+    try {
+        const planets = parseKOICSVFile(csvFilePath);
+        writeDataset(outputPath, planets);
+        console.log(`✅ Successfully converted ${planets.length} KOIs from ${csvFilePath} to ${outputPath}`);
+
+        const statuses = {};
+        planets.forEach(p => {
+            statuses[p.status] = (statuses[p.status] || 0) + 1;
+        });
+
+        console.log('\n📊 Disposition distribution:');
+        Object.entries(statuses).forEach(([status, count]) => {
+            console.log(`  ${status}: ${count}`);
+        });
+
+        printImputedSummary(planets);
+    } catch (error) {
+        console.error('❌ Error parsing CSV file:', error);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseCSV, planetFromCSVRow, parseKOICSVFile };
@@ -3,14 +3,49 @@ let currentPlanet;
 let planets = [];
 let currentPlanetIndex = 0;
 let star;
+let starLight;
 let showStar = true;
 let autoRotate = true;
+
+// Simulation clock driving planet spin and star motion
+const simClock = new SimClock.SimulationClock();
+const STAR_SPIN_PERIOD_DAYS = 25; // Sun-like rotation for the corona
+const AUTO_ROTATE_SPEEDUP = 100; // Spin multiplier while auto-rotate is on
+let autoRotateTurns = 0; // Extra turns gained while auto-rotate was on
+let lastSpinDays = null;
 let planetMesh;
 let rotationAxisLine = null;
 
 const planetSize = 2;
 const cameraDistance = 20;
 
+// View state kept in the URL hash (see UrlState): planet, type filter,
+// camera, simulated time and toggles. Each planet shown pushes a history entry.
+const VIEW_STATE_SCHEMA = {
+    planet: 'string',
+    filter: 'string',
+    cam: 'vector',
+    target: 'vector',
+    t: 'number',
+    rate: 'number',
+    paused: 'boolean',
+    rotate: 'boolean',
+    star: 'boolean'
+};
+const VIEW_STATE_DEFAULTS = {
+    filter: 'all',
+    rate: 86400,
+    paused: false,
+    rotate: true,
+    star: true
+};
+const viewHistory = new UrlState.HashHistory({
+    schema: VIEW_STATE_SCHEMA,
+    defaults: VIEW_STATE_DEFAULTS,
+    read: readViewState,
+    apply: applyViewState
+});
+
 init();
 
 async function init() {
@@ -33,6 +68,7 @@ async function init() {
     }
 
     updateUI();
+    viewHistory.start();
     hideLoadingScreen();
 
     // Start animation loop
@@ -63,9 +99,15 @@ async function loadPlanetData() {
         // Try loading KOI data first (most comprehensive)
         updateLoadingText("Fetching KOI candidate data...");
         const response = await fetch('./koiData.json');
-        planets = await response.json();
-        console.log(`✅ Loaded ${planets.length} KOI planets`);
-        updateLoadingText(`Successfully loaded ${planets.length} KOI candidates!`);
+        const koiPlanets = await response.json();
+
+        // Merge TESS candidates when the dataset is available
+        updateLoadingText("Fetching TESS candidate data...");
+        const tessPlanets = await ViewHelpers.loadOptionalDataset('../tessData.json');
+        planets = koiPlanets.concat(tessPlanets);
+        planets.forEach(Habitability.classifyHabitableZone);
+        console.log(`✅ Loaded ${koiPlanets.length} KOI and ${tessPlanets.length} TOI planets`);
+        updateLoadingText(`Successfully loaded ${planets.length} candidates!`);
     } catch (error) {
         console.error('Error loading KOI data, trying Kepler data:', error);
         try {
@@ -119,7 +161,7 @@ async function loadPlanetData() {
                     name: "Example Planet",
                     system: "Unknown System",
                     type: "Rocky",
-                    mass: "1.0 Earths",
+                    mass: { value: 1.0, lower: null, upper: null, unit: 'earthMass', source: 'measured' },
                     discoveryYear: 2024,
                     mission: "Unknown",
                     status: "confirmed",
@@ -271,6 +313,9 @@ function setupControls() {
     controls.target.set(0, -3, 0);
     controls.minDistance = 3;
     controls.maxDistance = 15;
+
+    // Keep the camera in the URL once the user stops moving it
+    controls.addEventListener('end', () => viewHistory.replace());
 }
 
 function setupLighting() {
@@ -279,7 +324,7 @@ function setupLighting() {
     scene.add(ambientLight);
 
     // Star light (main light source - increased intensity)
-    const starLight = new THREE.DirectionalLight(0xffffff, 1.5);
+    starLight = new THREE.DirectionalLight(0xffffff, 1.5);
     starLight.position.set(-20, 0, 0);
     starLight.castShadow = true;
     starLight.shadow.mapSize.width = 2048;
@@ -324,6 +369,29 @@ function createBackgroundStar() {
     scene.add(star);
 }
 
+// Match the background star to the current planet's host: blackbody color,
+// size from the stellar radius and light intensity from the luminosity
+function updateBackgroundStar(planetData) {
+    if (!star) return;
+
+    const stellar = planetData.stellar ||
+        StellarModel.estimateStellarProperties({}, planetData.ellipticalOrbit);
+    const starColor = StellarModel.blackbodyColor(stellar.effectiveTemperature);
+
+    const starCore = star.children[0];
+    const corona = star.children[1];
+    starCore.material.color.setHex(starColor);
+    corona.material.color.setHex(starColor);
+
+    const starScale = Math.min(Math.max(Math.sqrt(stellar.radius), 0.4), 2.5);
+    star.scale.setScalar(starScale);
+
+    if (starLight) {
+        starLight.color.setHex(starColor);
+        starLight.intensity = Math.min(Math.max(1.5 + 0.5 * Math.log10(stellar.luminosity), 0.5), 3);
+    }
+}
+
 function generateRealisticTexture(planetData) {
     const canvas = document.createElement('canvas');
     canvas.width = 256;
@@ -687,6 +755,8 @@ function showPlanet(index) {
     rotationAxisLine = createRotationAxis(currentPlanet, planetActualSize);
     scene.add(rotationAxisLine);
 
+    updateBackgroundStar(currentPlanet);
+
     updatePlanetInfo();
     updateNavigation();
 
@@ -701,6 +771,8 @@ function showPlanet(index) {
         }
     }
     animateEntrance();
+
+    viewHistory.push();
 }
 
 function updatePlanetInfo() {
@@ -713,15 +785,14 @@ function updatePlanetInfo() {
 
     // Update detailed info
     document.getElementById('planet-name-detail').textContent = currentPlanet.name;
-    //document.getElementById('planet-mass').textContent = currentPlanet.mass;
-
-    // Use the distance parameter from the data
-    const distance = currentPlanet.distance || 'Distance unknown';
-    document.getElementById('planet-distance').textContent = distance;
+    document.getElementById('planet-mass').textContent = Units.formatMass(MassRadius.planetMass(currentPlanet));
+    document.getElementById('planet-distance').textContent = Units.formatDistance(currentPlanet.distance);
 
     document.getElementById('planet-system').textContent = currentPlanet.system;
     document.getElementById('planet-discovery').textContent = currentPlanet.discoveryYear;
-    document.getElementById('planet-habitable').textContent = currentPlanet.inHabitableZone ? 'Yes' : 'No';
+    document.getElementById('planet-habitable').textContent = currentPlanet.inHabitableZone
+        ? (currentPlanet.habitableZone ? `Yes (${currentPlanet.habitableZone})` : 'Yes')
+        : 'No';
 
     // Mission data
     document.getElementById('planet-mission').textContent = currentPlanet.mission || 'Unknown';
@@ -730,51 +801,78 @@ function updatePlanetInfo() {
         (currentPlanet.confidence * 100).toFixed(1) + '%' : 'N/A';
 
     // Orbital data
-    document.getElementById('planet-period').textContent =
-        currentPlanet.ellipticalOrbit.period.toFixed(3) + ' days';
+    document.getElementById('planet-period').textContent = Units.formatPeriod(currentPlanet.ellipticalOrbit.period);
 
     // Additional orbital information
     const depthElement = document.getElementById('planet-depth');
-    depthElement.textContent = `${currentPlanet.ellipticalOrbit.semiMajorAxis.toFixed(3)} AU`;
+    depthElement.textContent = Units.formatSemiMajorAxis(currentPlanet.ellipticalOrbit.semiMajorAxis);
 
     // Planet radius and ID
-    const radiusKm = currentPlanet.radius.toLocaleString();
-    document.getElementById('planet-radius').textContent = `${radiusKm} km`;
+    document.getElementById('planet-radius').textContent = Units.formatRadius(currentPlanet.radius);
     document.getElementById('planet-id').textContent = currentPlanet.id;
 
+    // Host star summary
+    const hostStarElement = document.getElementById('planet-host-star');
+    if (hostStarElement) {
+        const stellar = currentPlanet.stellar ||
+            StellarModel.estimateStellarProperties({}, currentPlanet.ellipticalOrbit);
+        hostStarElement.textContent = `${stellar.spectralType}, ${stellar.effectiveTemperature} K, ${stellar.radius.toFixed(2)} R☉`;
+    }
+
     // Show inclination info if element exists
     const inclinationElement = document.getElementById('planet-inclination');
     if (inclinationElement && currentPlanet.ellipticalOrbit.inclination !== undefined) {
         inclinationElement.textContent = `${currentPlanet.ellipticalOrbit.inclination.toFixed(2)}°`;
     }
 
-    // Show temperature
+    // Values the source catalog didn't provide
+    ViewHelpers.flagImputedFields(currentPlanet, {
+        'radius': 'planet-radius',
+        'ellipticalOrbit.period': 'planet-period',
+        'ellipticalOrbit.semiMajorAxis': 'planet-depth',
+        'ellipticalOrbit.inclination': 'planet-inclination',
+        'confidence': 'planet-confidence',
+        'discoveryYear': 'planet-discovery'
+    });
+
+    // Temperature, ESI and HI; the shared module fills in any the record lacks
+    const metrics = Habitability.planetMetrics(currentPlanet);
+
     const temperatureElement = document.getElementById('planet-temperature');
     if (temperatureElement) {
-        temperatureElement.textContent = currentPlanet.temperature !== null && currentPlanet.temperature !== undefined
-            ? `${currentPlanet.temperature.toFixed(2)} K`
-            : 'N/A';
+        ViewHelpers.setMetricValue(temperatureElement,
+            metrics.temperatureSource
+                ? `${Units.formatTemperature(metrics.temperature)} · ${metrics.temperatureSource}`
+                : Units.formatTemperature(metrics.temperature),
+            metrics.estimated.temperature);
+    }
+
+    // Insolation and where the planet sits relative to Earth on the flux–radius plane
+    const fluxRadius = Habitability.fluxRadiusPosition(currentPlanet);
+    const insolationElement = document.getElementById('planet-insolation');
+    if (insolationElement) {
+        insolationElement.textContent = Units.formatInsolation(fluxRadius.insolation);
+    }
+    FluxRadiusPlot.render(document.getElementById('planet-flux-plot'), fluxRadius);
+    const fluxCaptionElement = document.getElementById('planet-flux-caption');
+    if (fluxCaptionElement) {
+        fluxCaptionElement.textContent = FluxRadiusPlot.describe(fluxRadius.insolation, fluxRadius.radius);
     }
 
     // Show ESI (Earth Similarity Index)
     const esiElement = document.getElementById('planet-esi');
     if (esiElement) {
-        esiElement.textContent = currentPlanet.esi !== undefined
-            ? currentPlanet.esi.toFixed(3)
-            : 'N/A';
+        ViewHelpers.setMetricValue(esiElement, metrics.esi !== null ? metrics.esi.toFixed(3) : 'N/A', metrics.estimated.esi);
     }
 
     // Show Habitability Index
     const habitabilityElement = document.getElementById('planet-habitability');
     if (habitabilityElement) {
-        const hiValue = currentPlanet.habitabilityIndex !== undefined
-            ? currentPlanet.habitabilityIndex.toFixed(3)
-            : 'N/A';
-        habitabilityElement.textContent = hiValue;
+        const hi = metrics.habitabilityIndex;
+        ViewHelpers.setMetricValue(habitabilityElement, hi !== null ? hi.toFixed(3) : 'N/A', metrics.estimated.habitabilityIndex);
 
         // Add color coding based on habitability
-        if (currentPlanet.habitabilityIndex !== undefined) {
-            const hi = currentPlanet.habitabilityIndex;
+        if (hi !== null) {
             if (hi > 0.7) {
                 habitabilityElement.className = 'value habitable-yes';
             } else if (hi > 0.4) {
@@ -859,7 +957,12 @@ function toggleInfo() {
 }
 
 function toggleAutoRotate() {
-    autoRotate = !autoRotate;
+    setAutoRotate(!autoRotate);
+    viewHistory.replace();
+}
+
+function setAutoRotate(enabled) {
+    autoRotate = enabled;
     const button = document.getElementById('auto-rotate-btn');
 
     if (autoRotate) {
@@ -875,16 +978,31 @@ function resetCamera() {
     camera.position.set(0, -4.5, cameraDistance);
     controls.target.set(0, -3, 0);
     controls.update();
+    viewHistory.replace();
 }
 
 function toggleStar() {
-    showStar = !showStar;
+    setShowStar(!showStar);
+    viewHistory.replace();
+}
+
+function setShowStar(visible) {
+    showStar = visible;
     star.visible = showStar;
 
     const button = document.getElementById('show-star-btn');
     button.textContent = showStar ? 'Hide Star' : 'Show Star';
 }
 
+// Export the currently filtered planets as a Celestia .ssc file
+function downloadFilteredSSC() {
+    const filterName = currentFilter === 'all' ? 'all' : currentFilter.toLowerCase().replace(/\s+/g, '-');
+    const sscText = SSCWriter.serializeCatalog(filteredPlanets, {
+        header: `Exported from Celestia Web Planet Viewer\n${filteredPlanets.length} planets (filter: ${currentFilter})`
+    });
+    ViewHelpers.downloadTextFile(sscText, `planets-${filterName}.ssc`);
+}
+
 function setupEventListeners() {
     // Navigation buttons
     document.getElementById('prev-planet').addEventListener('click', previousPlanet);
@@ -898,6 +1016,15 @@ function setupEventListeners() {
     document.getElementById('auto-rotate-btn').addEventListener('click', toggleAutoRotate);
     document.getElementById('reset-camera-btn').addEventListener('click', resetCamera);
     document.getElementById('show-star-btn').addEventListener('click', toggleStar);
+    document.getElementById('download-ssc-btn').addEventListener('click', downloadFilteredSSC);
+
+    // Simulation clock controls (play/pause, rate, reverse, date)
+    SimClock.bindClockControls(simClock, document);
+    simClock.onChange(() => viewHistory.replace());
+
+    // Unit system toggle
+    Units.bindUnitSystemSelect(document.getElementById('unit-system-select'));
+    Units.onUnitSystemChange(updatePlanetInfo);
 
     // Keyboard navigation
     document.addEventListener('keydown', (event) => {
@@ -942,41 +1069,27 @@ function onWindowResize() {
 function animate() {
     requestAnimationFrame(animate);
 
+    // All motion is a function of the simulated time
+    simClock.tick();
+    const days = simClock.daysSinceJ2000();
+
+    const elapsedDays = lastSpinDays === null ? 0 : days - lastSpinDays;
+    lastSpinDays = days;
+
     // Rotate planet on its own axis based on orbital period
     if (planetMesh && currentPlanet) {
         // Get orbital period in Earth days
         const orbitalPeriodDays = currentPlanet.ellipticalOrbit?.period || 365;
 
-        // For tidally locked planets: rotational period = orbital period
-        // Calculate rotation per frame (assuming 60 FPS)
-        // One full rotation (2π radians) in orbitalPeriodDays Earth days
-
-        // Real-time calculation:
-        // - 1 Earth day = 86400 seconds
-        // - At 60 FPS, 1 second = 60 frames
-        // - So 1 day = 86400 * 60 = 5,184,000 frames
-        // - Rotation per frame = (2π) / (orbitalPeriodDays * 5,184,000)
-
-        // But this is TOO slow for visualization, so we speed it up
-        // Time acceleration factor for visualization
-        const timeAccelerationBase = 3600; // Speed up by 3600x (1 hour = 1 second in real time)
-
-        // Calculate realistic rotation speed
-        // radiansPerEarthDay = 2π / orbitalPeriodDays
-        // radiansPerFrame = radiansPerEarthDay / (24 * 60 * 60 * 60) [60 FPS]
-        // With time acceleration: radiansPerFrame * timeAcceleration
-
-        const radiansPerEarthDay = (2 * Math.PI) / orbitalPeriodDays;
-        const framesPerSecond = 60;
-        const secondsPerDay = 86400;
-        const radiansPerFrame = (radiansPerEarthDay / secondsPerDay) * (timeAccelerationBase / framesPerSecond);
-
-        // If auto-rotate is enabled, use additional acceleration multiplier
-        const autoRotateMultiplier = autoRotate ? 100 : 1;
-        const finalRotationSpeed = radiansPerFrame * autoRotateMultiplier;
+        // Auto-rotate only speeds the spin up; pausing is the clock's job
+        if (autoRotate) {
+            autoRotateTurns += (AUTO_ROTATE_SPEEDUP - 1) * elapsedDays / orbitalPeriodDays;
+            autoRotateTurns %= 1;
+        }
 
-        // Apply rotation
-        planetMesh.rotation.y += finalRotationSpeed;
+        // For tidally locked planets: rotational period = orbital period
+        const turns = days / orbitalPeriodDays + autoRotateTurns;
+        planetMesh.rotation.y = 2 * Math.PI * (turns % 1);
 
         // Also rotate the axis line to match the planet's rotation
         if (rotationAxisLine) {
@@ -986,8 +1099,9 @@ function animate() {
 
     // Animate star corona
     if (star) {
-        star.children[1].rotation.y += 0.002;
-        star.children[1].rotation.x += 0.001;
+        const coronaTurns = (days / STAR_SPIN_PERIOD_DAYS) % 1;
+        star.children[1].rotation.y = 2 * Math.PI * coronaTurns;
+        star.children[1].rotation.x = Math.PI * coronaTurns;
     }
 
     // Animate starfield twinkling
@@ -1028,7 +1142,7 @@ function updatePlanetSelect() {
         const globalIndex = filteredPlanets.indexOf(planet);
         const option = document.createElement('option');
         option.value = globalIndex;
-        option.textContent = `${planet.name} (${planet.type}) - ${planet.distance}`;
+        option.textContent = `${planet.name} (${planet.type}) - ${Units.formatDistance(planet.distance)}`;
         select.appendChild(option);
     });
 
@@ -1100,6 +1214,7 @@ function setupPaginationControls() {
         currentPage = 0; // Reset to first page
         applyFilter();
         updatePlanetSelect();
+        viewHistory.replace();
     });
     
     document.getElementById('planets-per-page').addEventListener('change', (e) => {
@@ -1149,4 +1264,48 @@ function updatePaginationInfo() {
     
     if (prevBtn) prevBtn.disabled = currentPage === 0;
     if (nextBtn) nextBtn.disabled = currentPage >= totalPages - 1;
-}
\ No newline at end of file
+}
+
+// Current view state, for the URL hash
+function readViewState() {
+    return {
+        planet: currentPlanet ? currentPlanet.name : null,
+        filter: currentFilter,
+        cam: camera.position.toArray(),
+        target: controls.target.toArray(),
+        t: simClock.getTime(),
+        rate: simClock.rate,
+        paused: simClock.paused,
+        rotate: autoRotate,
+        star: showStar
+    };
+}
+
+// Show a view state read from the URL hash (on load and on back/forward)
+function applyViewState(state) {
+    // Filter first, so the planet list opens on the page of the planet
+    const filterSelect = document.getElementById('planet-type-filter');
+    filterSelect.value = state.filter;
+    currentFilter = filterSelect.value === state.filter ? state.filter : 'all';
+    applyFilter();
+
+    const index = Math.max(planets.findIndex(planet => planet.name === state.planet), 0);
+    const filteredIndex = filteredPlanets.indexOf(planets[index]);
+    currentPage = filteredIndex >= 0 ? Math.floor(filteredIndex / planetsPerPage) : 0;
+    updatePlanetSelect();
+    if (planets.length > 0 && (index !== currentPlanetIndex || !planetMesh)) {
+        showPlanet(index);
+    }
+
+    setAutoRotate(state.rotate);
+    setShowStar(state.star);
+    simClock.setState({ time: state.t, rate: state.rate, paused: state.paused });
+
+    if (state.cam && state.cam.length === 3 && state.target && state.target.length === 3) {
+        camera.position.fromArray(state.cam);
+        controls.target.fromArray(state.target);
+        controls.update();
+    } else {
+        resetCamera();
+    }
+}
@@ -5,6 +5,7 @@ let lastFocusedViewer = 'left';
 // Viewer objects
 const leftViewer = {
     side: 'left',
+    category: null,
     scene: null,
     camera: null,
     renderer: null,
@@ -22,6 +23,7 @@ const leftViewer = {
 
 const rightViewer = {
     side: 'right',
+    category: null,
     scene: null,
     camera: null,
     renderer: null,
@@ -40,6 +42,33 @@ const rightViewer = {
 const planetSize = 2;
 const cameraDistance = 20;
 
+// View state kept in the URL hash (see UrlState): each side's category,
+// planet, camera and auto-rotation. Each planet shown pushes a history entry.
+const VIEW_STATE_SCHEMA = {
+    left: 'string',
+    'left-planet': 'string',
+    'left-cam': 'vector',
+    'left-target': 'vector',
+    'left-rotate': 'boolean',
+    right: 'string',
+    'right-planet': 'string',
+    'right-cam': 'vector',
+    'right-target': 'vector',
+    'right-rotate': 'boolean'
+};
+const VIEW_STATE_DEFAULTS = {
+    left: 'earth',
+    'left-rotate': true,
+    right: 'jupiter',
+    'right-rotate': true
+};
+const viewHistory = new UrlState.HashHistory({
+    schema: VIEW_STATE_SCHEMA,
+    defaults: VIEW_STATE_DEFAULTS,
+    read: readViewState,
+    apply: applyViewState
+});
+
 // Initialize
 init();
 
@@ -71,6 +100,9 @@ async function init() {
 
         // Restore habitability panel states
         restoreHabPanelStates();
+
+        // Then the planets and cameras in the URL, if any
+        viewHistory.start();
     }, 100);
 
     hideLoadingScreen();
@@ -114,6 +146,8 @@ async function loadPlanetData() {
         updateLoadingText("Fetching KOI candidate data...");
         const exoResponse = await fetch('./koiData.json');
         exoplanets = await exoResponse.json();
+        // Records converted before the Kopparapu limits used a fixed 0.5-2 AU band
+        exoplanets.forEach(Habitability.classifyHabitableZone);
         console.log(`✅ Loaded ${exoplanets.length} exoplanets`);
 
         // Set default planets array to exoplanets
@@ -143,6 +177,7 @@ function getPlanetsForCategory(category) {
 
 function changePlanetCategory(viewer, category) {
     const categoryPlanets = getPlanetsForCategory(category);
+    viewer.category = category;
     viewer.availablePlanets = categoryPlanets;
     viewer.currentPlanetIndex = 0;
 
@@ -200,6 +235,9 @@ function setupViewer(viewer, containerId) {
     viewer.controls.minDistance = 3;
     viewer.controls.maxDistance = 40;
 
+    // Keep the camera in the URL once the user stops moving it
+    viewer.controls.addEventListener('end', () => viewHistory.replace());
+
     // Setup lighting (increased brightness)
     const ambientLight = new THREE.AmbientLight(0x606060, 0.6);
     viewer.scene.add(ambientLight);
@@ -653,6 +691,8 @@ function showPlanet(viewer, index) {
         }
     }
     animateEntrance();
+
+    viewHistory.push();
 }
 
 function updatePlanetInfo(viewer) {
@@ -670,8 +710,9 @@ function updatePlanetInfo(viewer) {
     safeUpdate(`${side}-type`, viewer.currentPlanet.type || 'Unknown');
     safeUpdate(`${side}-system`, viewer.currentPlanet.system || 'Unknown');
 
-    const distance = viewer.currentPlanet.distance ||
-        `${(viewer.currentPlanet.ellipticalOrbit.semiMajorAxis * 149.6).toFixed(2)} million km`;
+    const distance = viewer.currentPlanet.distance
+        ? Units.formatDistance(viewer.currentPlanet.distance)
+        : `${(viewer.currentPlanet.ellipticalOrbit.semiMajorAxis * 149.6).toFixed(2)} million km`;
     safeUpdate(`${side}-distance`, distance);
 
     safeUpdate(`${side}-mission`, viewer.currentPlanet.mission || 'Unknown');
@@ -681,13 +722,17 @@ function updatePlanetInfo(viewer) {
         (viewer.currentPlanet.confidence * 100).toFixed(1) + '%' : 'N/A';
     safeUpdate(`${side}-confidence`, confidenceText);
 
-    const periodText = viewer.currentPlanet.ellipticalOrbit.period.toFixed(3) + ' days';
-    safeUpdate(`${side}-period`, periodText);
-
-    const radiusKm = viewer.currentPlanet.radius.toLocaleString();
-    safeUpdate(`${side}-radius`, `${radiusKm} km`);
+    safeUpdate(`${side}-period`, Units.formatPeriod(viewer.currentPlanet.ellipticalOrbit.period));
+    safeUpdate(`${side}-radius`, Units.formatRadius(viewer.currentPlanet.radius));
     safeUpdate(`${side}-id`, viewer.currentPlanet.id);
 
+    // Values the source catalog didn't provide
+    ViewHelpers.flagImputedFields(viewer.currentPlanet, {
+        'radius': `${side}-radius`,
+        'ellipticalOrbit.period': `${side}-period`,
+        'confidence': `${side}-confidence`
+    });
+
     // Update habitability metrics panel
     updateHabitabilityPanel(viewer);
 }
@@ -702,28 +747,17 @@ function updateHabitabilityPanel(viewer) {
         habNameElement.textContent = planet.name || '-';
     }
 
-    // Calculate mock values if not present
-    let esiValue = planet.esi;
-    let hiValue = planet.habitabilityIndex;
-    let tempValue = planet.temperature;
-
-    // MOCK DATA: Calculate temporary values based on planet properties
-    if (esiValue === undefined || esiValue === null) {
-        esiValue = calculateMockESI(planet);
-    }
-    if (hiValue === undefined || hiValue === null) {
-        hiValue = calculateMockHI(planet);
-    }
-    if (tempValue === undefined || tempValue === null) {
-        tempValue = calculateMockTemperature(planet);
-    }
+    // Metrics missing from the record are computed by the shared module
+    const metrics = Habitability.planetMetrics(planet);
+    const esiValue = metrics.esi;
+    const hiValue = metrics.habitabilityIndex;
 
     // Update ESI
     const esiValueElement = document.getElementById(`${side}-esi-value`);
     const esiBarElement = document.getElementById(`${side}-esi-bar`);
 
     if (esiValue !== null) {
-        esiValueElement.textContent = (esiValue * 100).toFixed(0) + '%';
+        ViewHelpers.setMetricValue(esiValueElement, (esiValue * 100).toFixed(0) + '%', metrics.estimated.esi);
         updateProgressBar(esiBarElement, esiValue);
     } else {
         esiValueElement.textContent = 'N/A';
@@ -735,7 +769,7 @@ function updateHabitabilityPanel(viewer) {
     const hiBarElement = document.getElementById(`${side}-hi-bar`);
 
     if (hiValue !== null) {
-        hiValueElement.textContent = (hiValue * 100).toFixed(0) + '%';
+        ViewHelpers.setMetricValue(hiValueElement, (hiValue * 100).toFixed(0) + '%', metrics.estimated.habitabilityIndex);
         updateProgressBar(hiBarElement, hiValue);
     } else {
         hiValueElement.textContent = 'N/A';
@@ -745,64 +779,18 @@ function updateHabitabilityPanel(viewer) {
     // Update Temperature
     const tempValueElement = document.getElementById(`${side}-temp-value`);
 
-    if (tempValue !== null) {
-        tempValueElement.textContent = `${Math.round(tempValue)} K`;
-    } else {
-        tempValueElement.textContent = 'N/A';
-    }
-}
-
-// MOCK DATA FUNCTIONS - Remove these once real data is available
-function calculateMockTemperature(planet) {
-    // Earth reference values
-    if (planet.name === 'Earth') return 288;
-    if (planet.name === 'Jupiter') return 165;
-
-    // Calculate based on orbital distance (simplified Stefan-Boltzmann)
-    const semiMajorAxis = planet.ellipticalOrbit?.semiMajorAxis || 1.0;
-    const temp = 288 * Math.pow(semiMajorAxis, -0.5);
-    return Math.round(temp);
-}
-
-function calculateMockESI(planet) {
-    // Earth reference
-    if (planet.name === 'Earth') return 1.0;
-    if (planet.name === 'Jupiter') return 0.15;
-
-    // Calculate based on radius and orbital distance
-    const earthRadius = 6371;
-    const radiusRatio = planet.radius / earthRadius;
-    const semiMajorAxis = planet.ellipticalOrbit?.semiMajorAxis || 1.0;
-    const period = planet.ellipticalOrbit?.period || 365;
-
-    // Simplified ESI calculation
-    const radiusScore = 1 - Math.abs((radiusRatio - 1) / (radiusRatio + 1));
-    const distanceScore = 1 - Math.abs((semiMajorAxis - 1) / (semiMajorAxis + 1));
-    const periodScore = 1 - Math.abs((period - 365.25) / (period + 365.25));
-
-    const esi = Math.pow(radiusScore * distanceScore * periodScore, 1/3);
-    return Math.max(0, Math.min(1, esi));
-}
-
-function calculateMockHI(planet) {
-    // Earth reference
-    if (planet.name === 'Earth') return 1.0;
-    if (planet.name === 'Jupiter') return 0.05;
-
-    // Calculate based on radius and temperature
-    const earthRadius = 6371;
-    const radiusRatio = planet.radius / earthRadius;
-    const temp = calculateMockTemperature(planet);
-
-    // Radius score (optimal: 0.5 - 1.5 Earth radii)
-    const radiusScore = Math.max(0, 1 - Math.abs(radiusRatio - 1.0) / 0.5);
-
-    // Temperature score (optimal: 228 - 348 K, Earth = 288 K)
-    const tempScore = Math.max(0, 1 - Math.abs(temp - 288) / 60);
-
-    // Equal weighting
-    const hi = (radiusScore + tempScore) / 2;
-    return Math.max(0, Math.min(1, hi));
+    ViewHelpers.setMetricValue(tempValueElement,
+        metrics.temperatureSource
+            ? `${Units.formatTemperature(metrics.temperature)} · ${metrics.temperatureSource}`
+            : Units.formatTemperature(metrics.temperature),
+        metrics.estimated.temperature);
+
+    // Update insolation and the flux–radius position relative to Earth
+    const fluxRadius = Habitability.fluxRadiusPosition(planet);
+    document.getElementById(`${side}-flux-value`).textContent = Units.formatInsolation(fluxRadius.insolation);
+    FluxRadiusPlot.render(document.getElementById(`${side}-flux-plot`), fluxRadius);
+    document.getElementById(`${side}-flux-caption`).textContent =
+        FluxRadiusPlot.describe(fluxRadius.insolation, fluxRadius.radius);
 }
 
 function updateProgressBar(barElement, value) {
@@ -852,7 +840,12 @@ function previousPlanet(viewer) {
 }
 
 function toggleAutoRotate(viewer) {
-    viewer.autoRotate = !viewer.autoRotate;
+    setAutoRotate(viewer, !viewer.autoRotate);
+    viewHistory.replace();
+}
+
+function setAutoRotate(viewer, enabled) {
+    viewer.autoRotate = enabled;
     const button = document.getElementById(`${viewer.side}-auto-rotate`);
 
     if (viewer.autoRotate) {
@@ -866,6 +859,7 @@ function resetCamera(viewer) {
     viewer.camera.position.set(0, 0, cameraDistance);
     viewer.controls.target.set(0, 0, 0);
     viewer.controls.update();
+    viewHistory.replace();
 }
 
 function setupEventListeners() {
@@ -895,6 +889,13 @@ function setupEventListeners() {
     document.getElementById('left-viewer').addEventListener('click', () => setFocus('left'));
     document.getElementById('right-viewer').addEventListener('click', () => setFocus('right'));
 
+    // Unit system toggle
+    Units.bindUnitSystemSelect(document.getElementById('unit-system-select'));
+    Units.onUnitSystemChange(() => {
+        updatePlanetInfo(leftViewer);
+        updatePlanetInfo(rightViewer);
+    });
+
     // Search functionality
     setupSearch(leftViewer);
     setupSearch(rightViewer);
@@ -1036,6 +1037,7 @@ function syncRotation() {
         rightBtn.classList.remove('active');
         button.classList.remove('active');
     }
+    viewHistory.replace();
 }
 
 function resetBothCameras() {
@@ -1138,3 +1140,47 @@ function animate() {
     rightViewer.controls.update();
     rightViewer.renderer.render(rightViewer.scene, rightViewer.camera);
 }
+
+// Current view state, for the URL hash
+function readViewState() {
+    const state = {};
+    [leftViewer, rightViewer].forEach(viewer => {
+        const side = viewer.side;
+        state[side] = viewer.category;
+        state[`${side}-planet`] = viewer.currentPlanet ? viewer.currentPlanet.name : null;
+        state[`${side}-cam`] = viewer.camera.position.toArray();
+        state[`${side}-target`] = viewer.controls.target.toArray();
+        state[`${side}-rotate`] = viewer.autoRotate;
+    });
+    return state;
+}
+
+// Show a view state read from the URL hash (on load and on back/forward)
+function applyViewState(state) {
+    [leftViewer, rightViewer].forEach(viewer => {
+        const side = viewer.side;
+        const select = document.getElementById(`${side}-category`);
+        select.value = state[side];
+        if (select.value !== state[side]) select.value = VIEW_STATE_DEFAULTS[side];
+        if (viewer.category !== select.value) {
+            changePlanetCategory(viewer, select.value);
+        }
+
+        const index = Math.max(viewer.availablePlanets.findIndex(planet => planet.name === state[`${side}-planet`]), 0);
+        if (index !== viewer.currentPlanetIndex && viewer.availablePlanets.length > 0) {
+            showPlanet(viewer, index);
+        }
+
+        setAutoRotate(viewer, state[`${side}-rotate`]);
+
+        const cam = state[`${side}-cam`];
+        const target = state[`${side}-target`];
+        if (cam && cam.length === 3 && target && target.length === 3) {
+            viewer.camera.position.fromArray(cam);
+            viewer.controls.target.fromArray(target);
+            viewer.controls.update();
+        } else {
+            resetCamera(viewer);
+        }
+    });
+}
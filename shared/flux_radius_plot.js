@@ -0,0 +1,143 @@
+// Small flux–radius diagram placing a planet relative to Earth: insolation
+// (S/S⊕) on the x axis, radius (R⊕) on the y axis, both logarithmic, with the
+// host star's habitable zone shaded. Loadable from Node (require) and the
+// browser (window.FluxRadiusPlot); render() needs a DOM.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FluxRadiusPlot = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const WIDTH = 220;
+    const HEIGHT = 130;
+    const PLOT = { left: 30, right: 212, top: 8, bottom: 108 };
+
+    // Axis ranges as log10 of S/S⊕ and R/R⊕
+    const FLUX_RANGE = [-1, 4];
+    const RADIUS_RANGE = [Math.log10(0.3), Math.log10(30)];
+    const FLUX_TICKS = [0.1, 1, 10, 100, 1000, 10000];
+    const RADIUS_TICKS = [0.5, 1, 2, 4, 10, 20];
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function xForFlux(flux) {
+        const t = (Math.log10(flux) - FLUX_RANGE[0]) / (FLUX_RANGE[1] - FLUX_RANGE[0]);
+        return PLOT.left + clamp(t, 0, 1) * (PLOT.right - PLOT.left);
+    }
+
+    function yForRadius(radius) {
+        const t = (Math.log10(radius) - RADIUS_RANGE[0]) / (RADIUS_RANGE[1] - RADIUS_RANGE[0]);
+        return PLOT.bottom - clamp(t, 0, 1) * (PLOT.bottom - PLOT.top);
+    }
+
+    // Presentation attributes, so the diagram needs no stylesheet; the class
+    // names let a page restyle it
+    const STYLES = {
+        'frp-frame': { fill: 'rgba(255, 255, 255, 0.03)', stroke: 'rgba(255, 255, 255, 0.3)', 'stroke-width': 1 },
+        'frp-grid': { stroke: 'rgba(255, 255, 255, 0.1)', 'stroke-width': 0.5 },
+        'frp-tick': { fill: '#999', 'font-size': 7 },
+        'frp-axis': { fill: '#00d4ff', 'font-size': 8 },
+        'frp-zone': { fill: 'rgba(46, 204, 113, 0.2)' },
+        'frp-earth': { fill: '#4a90d9', stroke: 'white', 'stroke-width': 0.5 },
+        'frp-label': { fill: '#9cc7f0', 'font-size': 7 },
+        'frp-link': { stroke: 'rgba(255, 255, 255, 0.35)', 'stroke-width': 0.75, 'stroke-dasharray': '2 2' },
+        'frp-planet': { fill: '#f39c12', stroke: 'white', 'stroke-width': 0.75 }
+    };
+
+    function tickLabel(value) {
+        return value >= 1000 ? `${value / 1000}k` : String(value);
+    }
+
+    /**
+     * One-line comparison with Earth, e.g. "12× Earth's flux, 2.1× its radius"
+     * @param {number} insolation - S/S⊕
+     * @param {number} radius - R/R⊕
+     * @returns {string}
+     */
+    function describe(insolation, radius) {
+        const ratio = value => value >= 10 ? Math.round(value).toLocaleString('en-US') : value.toFixed(value >= 1 ? 1 : 2);
+        const parts = [];
+        if (typeof insolation === 'number' && insolation > 0) parts.push(`${ratio(insolation)}× Earth's flux`);
+        if (typeof radius === 'number' && radius > 0) parts.push(`${ratio(radius)}× ${parts.length ? 'its' : "Earth's"} radius`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Draw the diagram into an <svg> element, replacing its contents
+     * @param {SVGSVGElement} svg
+     * @param {Object} planet
+     * @param {number} planet.insolation - S/S⊕
+     * @param {number} planet.radius - R/R⊕
+     * @param {Object} [planet.zone] - Habitable zone as { innerFlux, outerFlux }
+     */
+    function render(svg, planet) {
+        if (!svg) return;
+        const doc = svg.ownerDocument;
+        const element = (name, attributes, text) => {
+            const node = doc.createElementNS(SVG_NS, name);
+            Object.entries(Object.assign({}, STYLES[attributes.class], attributes))
+                .forEach(([key, value]) => node.setAttribute(key, value));
+            if (text !== undefined) node.textContent = text;
+            svg.appendChild(node);
+            return node;
+        };
+
+        while (svg.firstChild) svg.removeChild(svg.firstChild);
+        svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+        svg.classList.add('flux-radius-plot');
+
+        // Frame and decade grid
+        element('rect', {
+            x: PLOT.left, y: PLOT.top,
+            width: PLOT.right - PLOT.left, height: PLOT.bottom - PLOT.top,
+            class: 'frp-frame'
+        });
+        FLUX_TICKS.forEach(flux => {
+            const x = xForFlux(flux);
+            element('line', { x1: x, x2: x, y1: PLOT.top, y2: PLOT.bottom, class: 'frp-grid' });
+            element('text', { x, y: PLOT.bottom + 10, 'text-anchor': 'middle', class: 'frp-tick' }, tickLabel(flux));
+        });
+        RADIUS_TICKS.forEach(radius => {
+            const y = yForRadius(radius);
+            element('line', { x1: PLOT.left, x2: PLOT.right, y1: y, y2: y, class: 'frp-grid' });
+            element('text', { x: PLOT.left - 3, y: y + 3, 'text-anchor': 'end', class: 'frp-tick' }, tickLabel(radius));
+        });
+        element('text', { x: PLOT.right, y: HEIGHT - 2, 'text-anchor': 'end', class: 'frp-axis' }, 'S / S⊕');
+        element('text', { x: 2, y: PLOT.top + 6, class: 'frp-axis' }, 'R⊕');
+
+        // Habitable zone of this planet's star (more flux at the inner edge)
+        if (planet.zone && planet.zone.innerFlux > 0 && planet.zone.outerFlux > 0) {
+            const x1 = xForFlux(planet.zone.outerFlux);
+            const x2 = xForFlux(planet.zone.innerFlux);
+            element('rect', {
+                x: x1, y: PLOT.top, width: Math.max(x2 - x1, 1), height: PLOT.bottom - PLOT.top,
+                class: 'frp-zone'
+            });
+        }
+
+        // Earth, then the planet on top
+        element('circle', { cx: xForFlux(1), cy: yForRadius(1), r: 3.5, class: 'frp-earth' });
+        element('text', { x: xForFlux(1) + 5, y: yForRadius(1) - 4, class: 'frp-label' }, 'Earth');
+
+        if (planet.insolation > 0 && planet.radius > 0) {
+            const x = xForFlux(planet.insolation);
+            const y = yForRadius(planet.radius);
+            element('line', { x1: xForFlux(1), y1: yForRadius(1), x2: x, y2: y, class: 'frp-link' });
+            element('circle', { cx: x, cy: y, r: 4.5, class: 'frp-planet' });
+        }
+    }
+
+    return {
+        FLUX_RANGE,
+        RADIUS_RANGE,
+        describe,
+        render
+    };
+});
@@ -0,0 +1,309 @@
+// Habitability metrics shared by the parser and the viewers. The Earth
+// Similarity Index follows Schulze-Makuch et al. (2011), "A Two-Tiered
+// Approach to Assessing the Habitability of Exoplanets", Astrobiology 11, 1041:
+// the interior ESI compares radius and bulk density, the surface ESI escape
+// velocity and surface temperature; the global ESI is their geometric mean.
+// Loadable from Node (require) and the browser (window.Habitability).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./mass_radius'), require('./stellar'), require('./habitable_zone'));
+    } else {
+        root.Habitability = factory(root.MassRadius, root.StellarModel, root.HabitableZone);
+    }
+})(typeof self !== 'undefined' ? self : this, function (MassRadius, StellarModel, HabitableZone) {
+    'use strict';
+
+    const EARTH_RADIUS_KM = 6371;
+    const SOLAR_RADII_PER_AU = 215.032;
+
+    // Fraction of the sphere over which absorbed starlight is re-radiated:
+    // 1/4 for full redistribution (Earth-like), 1/2 for the dayside only, and
+    // 2/3 for no redistribution (instant re-radiation, hottest substellar point)
+    const HEAT_REDISTRIBUTION = {
+        full: 1 / 4,
+        dayside: 1 / 2,
+        none: 2 / 3
+    };
+
+    // Earth's Bond albedo with full redistribution reproduces its 255 K
+    const TEMPERATURE_MODEL = {
+        albedo: 0.3,
+        redistribution: 'full'
+    };
+
+    // Earth's greenhouse effect: 255 K equilibrium, 288 K mean surface temperature
+    const EARTH_EQUILIBRIUM_TEMPERATURE = 255;
+    const EARTH_SURFACE_TEMPERATURE = 288;
+
+    // Reference values (Earth units, K) and weight exponents from Table 1 of the paper
+    const ESI_PARAMETERS = {
+        radius: { reference: 1, weight: 0.57 },
+        density: { reference: 1, weight: 1.07 },
+        escapeVelocity: { reference: 1, weight: 0.70 },
+        surfaceTemperature: { reference: EARTH_SURFACE_TEMPERATURE, weight: 5.58 }
+    };
+    const PARAMETER_COUNT = Object.keys(ESI_PARAMETERS).length;
+
+    // One parameter's factor (1 - |x - x0| / (x + x0))^(w / n)
+    function similarity(parameter, value) {
+        const { reference, weight } = ESI_PARAMETERS[parameter];
+        return Math.pow(1 - Math.abs((value - reference) / (value + reference)), weight / PARAMETER_COUNT);
+    }
+
+    /**
+     * Earth Similarity Index from the four planetary parameters
+     * @param {Object} properties
+     * @param {number} properties.radius - Radius in Earth radii
+     * @param {number} properties.density - Bulk density relative to Earth's
+     * @param {number} properties.escapeVelocity - Escape velocity relative to Earth's
+     * @param {number} properties.surfaceTemperature - Mean surface temperature in K
+     * @returns {Object} { interior, surface, global }, each 0 (very different) to 1 (Earth)
+     */
+    function earthSimilarityIndex(properties) {
+        // Squared because each factor carries the 1/n of all four parameters
+        const interior = Math.pow(
+            similarity('radius', properties.radius) * similarity('density', properties.density),
+            2
+        );
+        const surface = Math.pow(
+            similarity('escapeVelocity', properties.escapeVelocity) *
+            similarity('surfaceTemperature', properties.surfaceTemperature),
+            2
+        );
+        return { interior, surface, global: Math.sqrt(interior * surface) };
+    }
+
+    /**
+     * Surface temperature estimated from the equilibrium temperature by adding
+     * Earth's greenhouse warming, as for the published exoplanet ESI values
+     * @param {number} equilibriumTemperature - In K
+     * @returns {number} Surface temperature in K
+     */
+    function surfaceTemperature(equilibriumTemperature) {
+        return equilibriumTemperature + (EARTH_SURFACE_TEMPERATURE - EARTH_EQUILIBRIUM_TEMPERATURE);
+    }
+
+    /**
+     * Simple habitability index from how close radius and surface temperature are to Earth's
+     * @param {number} radius - Radius in Earth radii
+     * @param {number} temperature - Surface temperature in K
+     * @returns {number} HI: 0 (uninhabitable) to 1 (Earth-like)
+     */
+    function habitabilityIndex(radius, temperature) {
+        // Earth radius ±0.5, Earth temperature ±60 K
+        const radiusScore = Math.max(0, 1 - Math.abs(radius - 1) / 0.5);
+        const temperatureScore = Math.max(0, 1 - Math.abs(temperature - EARTH_SURFACE_TEMPERATURE) / 60);
+        return (radiusScore + temperatureScore) / 2;
+    }
+
+    /**
+     * Planetary equilibrium temperature from the host star's radiation:
+     * T = Teff · √(R★ / a) · [f (1 - A)]^(1/4)
+     * @param {Object} stellar - Stellar record with effectiveTemperature (K) and radius (R☉)
+     * @param {number} semiMajorAxis - In AU
+     * @param {Object} [model] - { albedo, redistribution }, see TEMPERATURE_MODEL;
+     *   redistribution is a key of HEAT_REDISTRIBUTION or the factor itself
+     * @returns {number|null} Temperature in K, or null without a usable star or orbit
+     */
+    function equilibriumTemperature(stellar, semiMajorAxis, model = {}) {
+        const albedo = typeof model.albedo === 'number' ? model.albedo : TEMPERATURE_MODEL.albedo;
+        const redistribution = model.redistribution !== undefined ? model.redistribution : TEMPERATURE_MODEL.redistribution;
+        const f = typeof redistribution === 'number' ? redistribution : HEAT_REDISTRIBUTION[redistribution];
+        if (!stellar || !(stellar.effectiveTemperature > 0) || !(stellar.radius > 0) ||
+            !(semiMajorAxis > 0) || !(f > 0)) {
+            return null;
+        }
+
+        const temperature = stellar.effectiveTemperature *
+            Math.sqrt(stellar.radius / (semiMajorAxis * SOLAR_RADII_PER_AU)) *
+            Math.pow(f * (1 - albedo), 0.25);
+        return Math.round(temperature * 100) / 100;
+    }
+
+    /**
+     * A planet's orbital elements without the placeholders listed in its
+     * `imputed` array, so stellar and temperature models only use catalog values
+     * @param {Object} planet - Planet record
+     * @returns {Object} Copy of ellipticalOrbit without the imputed fields
+     */
+    function measuredOrbit(planet) {
+        const imputed = planet.imputed || [];
+        const orbit = {};
+        Object.entries(planet.ellipticalOrbit || {}).forEach(([key, value]) => {
+            if (!imputed.includes(`ellipticalOrbit.${key}`)) orbit[key] = value;
+        });
+        return orbit;
+    }
+
+    /**
+     * A planet's equilibrium temperature and where it came from: "measured"
+     * (given by the catalog), "computed" (from a measured host temperature or
+     * radius) or "assumed" (from a host star modelled without measurements).
+     * Nothing is derived from an imputed semi-major axis: value and source are
+     * then null. Call with the catalog's stellar values, before the record is
+     * completed.
+     * @param {Object} planet - Planet record with temperature, stellar and ellipticalOrbit
+     * @param {Object} [model] - See equilibriumTemperature
+     * @returns {Object} { value, source }; value is null if nothing can be derived
+     */
+    function planetTemperature(planet, model) {
+        if (typeof planet.temperature === 'number') {
+            return { value: planet.temperature, source: planet.temperatureSource || 'measured' };
+        }
+
+        const known = planet.stellar || {};
+        const stellarMeasured = known.effectiveTemperature > 0 || known.radius > 0;
+        const orbit = measuredOrbit(planet);
+        const stellar = StellarModel.estimateStellarProperties(known, orbit);
+        const value = equilibriumTemperature(stellar, orbit.semiMajorAxis, model);
+        if (value === null) return { value: null, source: null };
+        return { value, source: stellarMeasured ? 'computed' : 'assumed' };
+    }
+
+    /**
+     * Stellar flux at a planet relative to what Earth receives (S/S⊕ = L / a²)
+     * @param {Object} stellar - Stellar record with luminosity (L☉)
+     * @param {number} semiMajorAxis - In AU
+     * @returns {number|null} Insolation, or null without a usable star or orbit
+     */
+    function insolation(stellar, semiMajorAxis) {
+        if (!stellar || !(stellar.luminosity > 0) || !(semiMajorAxis > 0)) return null;
+        return Math.round(stellar.luminosity / (semiMajorAxis * semiMajorAxis) * 1000) / 1000;
+    }
+
+    // The record's host star, modelled from the orbit when the record has none
+    function hostStar(planet) {
+        return planet.stellar && planet.stellar.luminosity > 0
+            ? planet.stellar
+            : StellarModel.estimateStellarProperties(planet.stellar || {}, measuredOrbit(planet));
+    }
+
+    /**
+     * A planet's insolation: the catalog value, else computed from its host star
+     * @param {Object} planet - Planet record
+     * @returns {number|null} S/S⊕
+     */
+    function planetInsolation(planet) {
+        if (typeof planet.insolation === 'number') return planet.insolation;
+        return insolation(hostStar(planet), measuredOrbit(planet).semiMajorAxis);
+    }
+
+    /**
+     * Reclassify a record converted before the Kopparapu limits (those used a
+     * fixed 0.5-2 AU band and have no habitableZone field); newer records keep
+     * their classification
+     * @param {Object} planet - Planet record, updated in place
+     * @returns {Object} The same record, with habitableZone and inHabitableZone set
+     */
+    function classifyHabitableZone(planet) {
+        if (planet.habitableZone === undefined) {
+            planet.habitableZone = HabitableZone.classifyOrbit(
+                hostStar(planet),
+                measuredOrbit(planet).semiMajorAxis,
+                planet.insolation
+            );
+            planet.inHabitableZone = planet.habitableZone !== null;
+        }
+        return planet;
+    }
+
+    /**
+     * Where a planet sits on the flux–radius plane, in Earth units, with its
+     * star's optimistic habitable zone as flux limits (see FluxRadiusPlot)
+     * @param {Object} planet - Planet record
+     * @returns {Object} { insolation, radius, zone: { innerFlux, outerFlux } }
+     */
+    function fluxRadiusPosition(planet) {
+        const zone = HabitableZone.habitableZone(hostStar(planet)).optimistic;
+        return {
+            insolation: planetInsolation(planet),
+            radius: planet.radius > 0 ? planet.radius / EARTH_RADIUS_KM : null,
+            zone: { innerFlux: zone.innerFlux, outerFlux: zone.outerFlux }
+        };
+    }
+
+    /**
+     * ESI of a planet record. Density and escape velocity come from the mass
+     * (measured or estimated from the radius) and radius.
+     * @param {Object} planet - Planet record with radius (km), mass and temperature (K)
+     * @returns {Object|null} See earthSimilarityIndex, or null without a radius,
+     *   mass or temperature
+     */
+    function planetESI(planet) {
+        const mass = MassRadius.planetMass(planet);
+        if (!(planet.radius > 0) || !mass || typeof planet.temperature !== 'number') return null;
+
+        const radius = planet.radius / EARTH_RADIUS_KM;
+        return earthSimilarityIndex({
+            radius,
+            density: mass.value / Math.pow(radius, 3),
+            escapeVelocity: Math.sqrt(mass.value / radius),
+            surfaceTemperature: surfaceTemperature(planet.temperature)
+        });
+    }
+
+    /**
+     * Temperature, ESI and HI of a planet record. Values stored in the record
+     * are used as they are; missing ones are computed here.
+     * @param {Object} planet - Planet record
+     * @param {Object} [model] - Temperature model, see equilibriumTemperature
+     * @returns {Object} { temperature, temperatureSource, esi, habitabilityIndex, estimated },
+     *   where estimated.<metric> is true when the value rests on an assumed
+     *   temperature, an estimated mass or an imputed radius, whether it was
+     *   stored or computed here
+     */
+    function planetMetrics(planet, model) {
+        const { value: temperature, source: temperatureSource } = planetTemperature(planet, model);
+        const temperatureImputed = temperatureSource === 'assumed';
+        const radiusImputed = (planet.imputed || []).includes('radius');
+        const mass = MassRadius.planetMass(planet);
+        const massImputed = !mass || mass.source !== 'measured';
+
+        let esi = planet.esi;
+        if (typeof esi !== 'number') {
+            const computed = typeof temperature === 'number'
+                ? planetESI(Object.assign({}, planet, { temperature }))
+                : null;
+            esi = computed ? computed.global : null;
+        }
+
+        let hi = planet.habitabilityIndex;
+        if (typeof hi !== 'number') {
+            hi = planet.radius > 0 && typeof temperature === 'number'
+                ? habitabilityIndex(planet.radius / EARTH_RADIUS_KM, surfaceTemperature(temperature))
+                : null;
+        }
+        const esiEstimated = esi !== null && (temperatureImputed || massImputed || radiusImputed);
+        const hiEstimated = hi !== null && (temperatureImputed || radiusImputed);
+
+        return {
+            temperature,
+            temperatureSource,
+            esi,
+            habitabilityIndex: hi,
+            estimated: {
+                temperature: temperatureImputed,
+                esi: esiEstimated,
+                habitabilityIndex: hiEstimated
+            }
+        };
+    }
+
+    return {
+        ESI_PARAMETERS,
+        earthSimilarityIndex,
+        surfaceTemperature,
+        habitabilityIndex,
+        HEAT_REDISTRIBUTION,
+        TEMPERATURE_MODEL,
+        equilibriumTemperature,
+        measuredOrbit,
+        planetTemperature,
+        insolation,
+        planetInsolation,
+        classifyHabitableZone,
+        fluxRadiusPosition,
+        planetESI,
+        planetMetrics
+    };
+});
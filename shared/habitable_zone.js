@@ -0,0 +1,89 @@
+// Circumstellar habitable zone boundaries from Kopparapu et al. (2014),
+// "Habitable Zones around Main-sequence Stars: Dependence on Planetary Mass",
+// ApJ 787, L29 (1 Earth-mass coefficients). Loadable from Node (require) and
+// the browser (window.HabitableZone).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HabitableZone = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Effective stellar flux at each limit: S_eff = S_eff☉ + aT + bT² + cT³ + dT⁴, T = Teff - 5780 K
+    const LIMITS = {
+        recentVenus: { seffSun: 1.776, a: 2.136e-4, b: 2.533e-8, c: -1.332e-11, d: -3.097e-15 },
+        runawayGreenhouse: { seffSun: 1.107, a: 1.332e-4, b: 1.580e-8, c: -8.308e-12, d: -1.931e-15 },
+        maximumGreenhouse: { seffSun: 0.356, a: 6.171e-5, b: 1.698e-9, c: -3.198e-12, d: -5.575e-16 },
+        earlyMars: { seffSun: 0.320, a: 5.547e-5, b: 1.526e-9, c: -2.874e-12, d: -5.011e-16 }
+    };
+
+    // The fits are only valid for these stellar temperatures
+    const MIN_TEFF = 2600;
+    const MAX_TEFF = 7200;
+
+    /**
+     * Effective stellar flux (relative to Earth's) at one habitable-zone limit
+     * @param {string} limit - Key of LIMITS
+     * @param {number} effectiveTemperature - Stellar temperature in K
+     * @returns {number} S_eff in units of the solar constant
+     */
+    function effectiveFlux(limit, effectiveTemperature) {
+        const coefficients = LIMITS[limit];
+        const teff = Math.min(Math.max(effectiveTemperature, MIN_TEFF), MAX_TEFF);
+        const t = teff - 5780;
+        return coefficients.seffSun +
+            coefficients.a * t +
+            coefficients.b * t * t +
+            coefficients.c * t * t * t +
+            coefficients.d * t * t * t * t;
+    }
+
+    /**
+     * Habitable-zone boundaries for a star
+     * @param {Object} stellar - Stellar record with effectiveTemperature (K) and luminosity (L☉)
+     * @returns {Object} { conservative: { inner, outer }, optimistic: { inner, outer } }
+     *   distances in AU and the matching flux limits as { innerFlux, outerFlux }
+     */
+    function habitableZone(stellar) {
+        const luminosity = stellar.luminosity;
+        const teff = stellar.effectiveTemperature;
+        const boundary = (innerLimit, outerLimit) => {
+            const innerFlux = effectiveFlux(innerLimit, teff);
+            const outerFlux = effectiveFlux(outerLimit, teff);
+            return {
+                inner: Math.sqrt(luminosity / innerFlux),
+                outer: Math.sqrt(luminosity / outerFlux),
+                innerFlux,
+                outerFlux
+            };
+        };
+
+        return {
+            conservative: boundary('runawayGreenhouse', 'maximumGreenhouse'),
+            optimistic: boundary('recentVenus', 'earlyMars')
+        };
+    }
+
+    /**
+     * Which habitable zone, if any, a planet lies in. Uses the measured
+     * insolation when given, otherwise the orbit's semi-major axis.
+     * @param {Object} stellar - Stellar record (see habitableZone)
+     * @param {number} semiMajorAxis - Orbit semi-major axis in AU
+     * @param {number} [insolation] - Stellar flux at the planet relative to Earth's
+     * @returns {string|null} "conservative", "optimistic" or null
+     */
+    function classifyOrbit(stellar, semiMajorAxis, insolation) {
+        const zones = habitableZone(stellar);
+        const inside = zone => (typeof insolation === 'number' && insolation > 0)
+            ? insolation <= zone.innerFlux && insolation >= zone.outerFlux
+            : semiMajorAxis >= zone.inner && semiMajorAxis <= zone.outer;
+
+        if (inside(zones.conservative)) return 'conservative';
+        if (inside(zones.optimistic)) return 'optimistic';
+        return null;
+    }
+
+    return { LIMITS, effectiveFlux, habitableZone, classifyOrbit };
+});
@@ -0,0 +1,130 @@
+// Two-body orbit propagation: solves Kepler's equation and turns orbital
+// elements into positions along an inclined ellipse. Loadable from Node
+// (require) and the browser (window.KeplerOrbit).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KeplerOrbit = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TWO_PI = 2 * Math.PI;
+    const DEG = Math.PI / 180;
+
+    // Elliptical orbits only; clamp so near-parabolic catalog values still converge
+    function clampEccentricity(eccentricity) {
+        if (!(eccentricity > 0)) return 0;
+        return Math.min(eccentricity, 0.99);
+    }
+
+    function normalizeAngle(angle) {
+        const wrapped = angle % TWO_PI;
+        return wrapped < 0 ? wrapped + TWO_PI : wrapped;
+    }
+
+    /**
+     * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly
+     * @param {number} meanAnomaly - Mean anomaly in radians
+     * @param {number} eccentricity - Orbital eccentricity (0 ≤ e < 1)
+     * @returns {number} Eccentric anomaly in radians (0 to 2π)
+     */
+    function solveKepler(meanAnomaly, eccentricity) {
+        const e = clampEccentricity(eccentricity);
+        const M = normalizeAngle(meanAnomaly);
+
+        // Newton–Raphson; starting from π for high eccentricities avoids overshooting
+        let E = e < 0.8 ? M : Math.PI;
+        for (let i = 0; i < 50; i++) {
+            const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+        return E;
+    }
+
+    /**
+     * True anomaly from the eccentric anomaly
+     * @param {number} eccentricAnomaly - Eccentric anomaly in radians
+     * @param {number} eccentricity - Orbital eccentricity
+     * @returns {number} True anomaly in radians
+     */
+    function trueAnomaly(eccentricAnomaly, eccentricity) {
+        const e = clampEccentricity(eccentricity);
+        return 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(eccentricAnomaly / 2),
+            Math.sqrt(1 - e) * Math.cos(eccentricAnomaly / 2)
+        );
+    }
+
+    /**
+     * Position on an orbit for a given true anomaly. The reference plane is
+     * x–y with z along its normal; the ascending node lies on the x axis
+     * when longitudeOfAscendingNode is 0.
+     * @param {Object} elements - { semiMajorAxis, eccentricity, inclination (deg),
+     *   argumentOfPeriapsis (deg), longitudeOfAscendingNode (deg) }
+     * @param {number} nu - True anomaly in radians
+     * @returns {Object} { x, y, z } in the units of semiMajorAxis
+     */
+    function positionAtTrueAnomaly(elements, nu) {
+        const a = elements.semiMajorAxis;
+        const e = clampEccentricity(elements.eccentricity);
+        const i = (elements.inclination || 0) * DEG;
+        const omega = (elements.argumentOfPeriapsis || 0) * DEG;
+        const node = (elements.longitudeOfAscendingNode || 0) * DEG;
+
+        const r = a * (1 - e * e) / (1 + e * Math.cos(nu));
+        const u = omega + nu; // Argument of latitude
+
+        const cosNode = Math.cos(node);
+        const sinNode = Math.sin(node);
+        const cosU = Math.cos(u);
+        const sinU = Math.sin(u);
+        const cosI = Math.cos(i);
+
+        return {
+            x: r * (cosNode * cosU - sinNode * sinU * cosI),
+            y: r * (sinNode * cosU + cosNode * sinU * cosI),
+            z: r * sinU * Math.sin(i)
+        };
+    }
+
+    /**
+     * Propagate an orbit: mean anomaly → eccentric anomaly → true anomaly → position
+     * @param {Object} elements - Orbital elements (see positionAtTrueAnomaly)
+     * @param {number} meanAnomaly - Mean anomaly in radians
+     * @returns {Object} { x, y, z, trueAnomaly }
+     */
+    function positionAtMeanAnomaly(elements, meanAnomaly) {
+        const E = solveKepler(meanAnomaly, elements.eccentricity);
+        const nu = trueAnomaly(E, elements.eccentricity);
+        const position = positionAtTrueAnomaly(elements, nu);
+        position.trueAnomaly = nu;
+        return position;
+    }
+
+    /**
+     * Points around the full orbit, for drawing the path as a closed line
+     * @param {Object} elements - Orbital elements (see positionAtTrueAnomaly)
+     * @param {number} [segments=128] - Number of line segments
+     * @returns {Array} segments + 1 points { x, y, z }, first and last equal
+     */
+    function orbitPath(elements, segments = 128) {
+        const points = [];
+        for (let k = 0; k <= segments; k++) {
+            // Even steps in eccentric anomaly keep the periapsis end smooth
+            const E = (k / segments) * TWO_PI;
+            points.push(positionAtTrueAnomaly(elements, trueAnomaly(E, elements.eccentricity)));
+        }
+        return points;
+    }
+
+    return {
+        solveKepler,
+        trueAnomaly,
+        positionAtTrueAnomaly,
+        positionAtMeanAnomaly,
+        orbitPath
+    };
+});
@@ -0,0 +1,63 @@
+// Screen-space layout of floating labels: which labels fit without
+// overlapping, and how much they fade with distance from the camera. Works on
+// plain rectangles so the 3D views decide where labels are drawn.
+// Loadable from Node (require) and the browser (window.LabelLayout).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LabelLayout = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Opacity of a label at a distance from the camera: opaque up to near,
+     * fading linearly to invisible at far
+     * @param {number} distance
+     * @param {number} near
+     * @param {number} far
+     * @returns {number} 0-1
+     */
+    function fadeOpacity(distance, near, far) {
+        if (distance <= near) return 1;
+        if (distance >= far) return 0;
+        return 1 - (distance - near) / (far - near);
+    }
+
+    function overlaps(a, b, margin) {
+        return a.left < b.right + margin && b.left < a.right + margin &&
+            a.top < b.bottom + margin && b.top < a.bottom + margin;
+    }
+
+    /**
+     * Choose the labels to show, placing them greedily in order and skipping
+     * any that would overlap one already placed
+     * @param {Array<Object>} candidates - { x, y, width, height } in pixels, most
+     *   important first; x, y is the label's centre
+     * @param {Object} [options]
+     * @param {number} [options.margin=2] - Pixels kept between labels
+     * @param {number} [options.maxLabels=Infinity] - Stop after this many
+     * @returns {Array<number>} Indices of the placed candidates
+     */
+    function placeLabels(candidates, options = {}) {
+        const margin = options.margin === undefined ? 2 : options.margin;
+        const maxLabels = options.maxLabels === undefined ? Infinity : options.maxLabels;
+        const placed = [];
+        const boxes = [];
+
+        for (let i = 0; i < candidates.length && placed.length < maxLabels; i++) {
+            const { x, y, width, height } = candidates[i];
+            const box = { left: x - width / 2, right: x + width / 2, top: y - height / 2, bottom: y + height / 2 };
+            if (boxes.some(other => overlaps(box, other, margin))) continue;
+            boxes.push(box);
+            placed.push(i);
+        }
+        return placed;
+    }
+
+    return {
+        fadeOpacity,
+        placeLabels
+    };
+});
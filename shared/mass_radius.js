@@ -0,0 +1,133 @@
+// Probabilistic mass–radius relation of Chen & Kipping (2017), "Probabilistic
+// Forecasting of the Masses and Radii of Other Worlds", ApJ 834, 17. Mass is
+// estimated from radius through the "Forecaster" broken power law, with the
+// intrinsic radius scatter of each regime giving 1σ mass bounds.
+// Loadable from Node (require) and the browser (window.MassRadius).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MassRadius = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const EARTH_RADIUS_KM = 6371;
+    const EARTH_MASSES_PER_JUPITER = 317.83;
+
+    // R = C · M^S in Earth units. Each regime starts at minMass; C of the later
+    // regimes follows from continuity. sigma is the intrinsic scatter in log10 R.
+    const REGIMES = [
+        { name: 'Terran', minMass: 0, slope: 0.2790, sigma: 0.0403 },
+        { name: 'Neptunian', minMass: 2.04, slope: 0.589, sigma: 0.146 },
+        { name: 'Jovian', minMass: 0.414 * EARTH_MASSES_PER_JUPITER, slope: -0.044, sigma: 0.0737 },
+        { name: 'Stellar', minMass: 0.0800 * 332946, slope: 0.881, sigma: 0.0440 }
+    ];
+
+    // Terran normalization from the published fit: log10 C = 0.00346
+    REGIMES[0].logC = 0.00346;
+    for (let i = 1; i < REGIMES.length; i++) {
+        const previous = REGIMES[i - 1];
+        const logM = Math.log10(REGIMES[i].minMass);
+        REGIMES[i].logC = previous.logC + (previous.slope - REGIMES[i].slope) * logM;
+    }
+
+    // Radius at the top of the Neptunian regime; larger planets are treated as Jovian
+    const JOVIAN_MIN_RADIUS = Math.pow(10, REGIMES[2].logC + REGIMES[2].slope * Math.log10(REGIMES[2].minMass));
+
+    // In the Jovian regime radius barely depends on mass, so mass is only
+    // bounded by the regime: 0.414 M_J to the 13 M_J deuterium-burning limit.
+    const JOVIAN_MASS = {
+        value: EARTH_MASSES_PER_JUPITER,
+        lower: REGIMES[2].minMass,
+        upper: 13 * EARTH_MASSES_PER_JUPITER
+    };
+
+    function round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Radius predicted for a mass (median of the relation)
+     * @param {number} mass - Mass in Earth masses
+     * @returns {number} Radius in Earth radii
+     */
+    function radiusFromMass(mass) {
+        let regime = REGIMES[0];
+        REGIMES.forEach(r => {
+            if (mass >= r.minMass) regime = r;
+        });
+        return Math.pow(10, regime.logC + regime.slope * Math.log10(mass));
+    }
+
+    /**
+     * Estimate a planet's mass from its radius
+     * @param {number} radius - Radius in Earth radii
+     * @returns {Object|null} { value, lower, upper, regime } with masses in Earth
+     *   masses (lower/upper are the 1σ bounds), or null for a non-positive radius
+     */
+    function massFromRadius(radius) {
+        if (!(radius > 0)) return null;
+
+        if (radius >= JOVIAN_MIN_RADIUS) {
+            return {
+                value: round(JOVIAN_MASS.value, 2),
+                lower: round(JOVIAN_MASS.lower, 2),
+                upper: round(JOVIAN_MASS.upper, 2),
+                regime: 'Jovian'
+            };
+        }
+
+        // Invert the Terran or Neptunian power law, whichever covers this radius
+        const logR = Math.log10(radius);
+        const neptunian = REGIMES[1];
+        const regime = logR >= neptunian.logC + neptunian.slope * Math.log10(neptunian.minMass)
+            ? neptunian
+            : REGIMES[0];
+        const logM = (logR - regime.logC) / regime.slope;
+        const sigmaLogM = regime.sigma / regime.slope;
+
+        return {
+            value: round(Math.pow(10, logM), 3),
+            lower: round(Math.pow(10, logM - sigmaLogM), 3),
+            upper: round(Math.pow(10, logM + sigmaLogM), 3),
+            regime: regime.name
+        };
+    }
+
+    /**
+     * Estimate mass from a radius in kilometers (the koiData.json radius unit)
+     * @param {number} radiusKm - Radius in km
+     * @returns {Object|null} See massFromRadius
+     */
+    function massFromRadiusKm(radiusKm) {
+        return massFromRadius(radiusKm / EARTH_RADIUS_KM);
+    }
+
+    /**
+     * A planet's mass as a schema quantity. Records from before numeric masses
+     * ("5.85 Jupiters") are re-estimated from their radius.
+     * @param {Object} planet - Planet record
+     * @returns {Object|null} { value, lower, upper, unit: "earthMass", source }, or
+     *   null if unknown; source is "measured" or "estimated" (stored masses
+     *   without one are estimates)
+     */
+    function planetMass(planet) {
+        if (planet.mass && typeof planet.mass === 'object' && typeof planet.mass.value === 'number') {
+            return planet.mass;
+        }
+        const estimate = massFromRadiusKm(planet.radius);
+        if (!estimate) return null;
+        return { value: estimate.value, lower: estimate.lower, upper: estimate.upper, unit: 'earthMass', source: 'estimated' };
+    }
+
+    return {
+        EARTH_MASSES_PER_JUPITER,
+        REGIMES,
+        radiusFromMass,
+        massFromRadius,
+        massFromRadiusKm,
+        planetMass
+    };
+});
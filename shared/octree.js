@@ -0,0 +1,252 @@
+// Octree over points, for picking and proximity queries in the 3D views
+// without testing every object. Items are stored as given and returned by the
+// queries; their positions are read once, when the tree is built.
+// Loadable from Node (require) and the browser (window.Octree).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Octree = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    function distanceSquared(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const dz = a.z - b.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    // Distance from a point to an axis-aligned box (0 inside)
+    function distanceToBox(point, node) {
+        let sum = 0;
+        ['x', 'y', 'z'].forEach(axis => {
+            const below = node.min[axis] - point[axis];
+            const above = point[axis] - node.max[axis];
+            const outside = Math.max(below, above, 0);
+            sum += outside * outside;
+        });
+        return Math.sqrt(sum);
+    }
+
+    // Slab test: does the ray hit the box grown by margin on every side?
+    function rayHitsBox(origin, direction, node, margin) {
+        let near = 0;
+        let far = Infinity;
+        for (const axis of ['x', 'y', 'z']) {
+            const min = node.min[axis] - margin;
+            const max = node.max[axis] + margin;
+            if (Math.abs(direction[axis]) < 1e-12) {
+                if (origin[axis] < min || origin[axis] > max) return false;
+                continue;
+            }
+            let t1 = (min - origin[axis]) / direction[axis];
+            let t2 = (max - origin[axis]) / direction[axis];
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            near = Math.max(near, t1);
+            far = Math.min(far, t2);
+            if (near > far) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Octree of items with a position { x, y, z }
+     */
+    class PointOctree {
+        /**
+         * @param {Array} items - Objects to index
+         * @param {Object} [options]
+         * @param {Function} [options.position] - Item → { x, y, z }; defaults to item.position
+         * @param {Function} [options.radius] - Item → its size, added to raycast()'s hit
+         *   radius, for items of different sizes; defaults to 0
+         * @param {number} [options.maxItems=8] - Items per leaf before it is split
+         * @param {number} [options.maxDepth=12] - Deepest level; leaves there keep all their items
+         */
+        constructor(items, options = {}) {
+            const position = options.position || (item => item.position);
+            const radius = options.radius || (() => 0);
+            this.maxItems = options.maxItems || 8;
+            this.maxDepth = options.maxDepth || 12;
+            this.size = items.length;
+
+            const entries = items.map(item => {
+                const p = position(item);
+                return { item, x: p.x, y: p.y, z: p.z, radius: radius(item) };
+            });
+
+            // Cube around all points, so octants stay cubes
+            const min = { x: Infinity, y: Infinity, z: Infinity };
+            const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+            entries.forEach(entry => {
+                ['x', 'y', 'z'].forEach(axis => {
+                    min[axis] = Math.min(min[axis], entry[axis]);
+                    max[axis] = Math.max(max[axis], entry[axis]);
+                });
+            });
+            if (entries.length === 0) {
+                min.x = min.y = min.z = max.x = max.y = max.z = 0;
+            }
+            const half = Math.max(max.x - min.x, max.y - min.y, max.z - min.z, 1e-6) / 2;
+            const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+
+            this.root = this._build(entries, center, half, 0);
+        }
+
+        _build(entries, center, half, depth) {
+            const node = {
+                min: { x: center.x - half, y: center.y - half, z: center.z - half },
+                max: { x: center.x + half, y: center.y + half, z: center.z + half },
+                entries: null,
+                children: null,
+                // Largest item radius below this node
+                maxRadius: entries.reduce((largest, entry) => Math.max(largest, entry.radius), 0)
+            };
+            if (entries.length <= this.maxItems || depth >= this.maxDepth) {
+                node.entries = entries;
+                return node;
+            }
+
+            const octants = [[], [], [], [], [], [], [], []];
+            entries.forEach(entry => {
+                const index = (entry.x >= center.x ? 1 : 0) + (entry.y >= center.y ? 2 : 0) + (entry.z >= center.z ? 4 : 0);
+                octants[index].push(entry);
+            });
+            const quarter = half / 2;
+            node.children = [];
+            octants.forEach((octant, index) => {
+                if (octant.length === 0) return;
+                const childCenter = {
+                    x: center.x + (index & 1 ? quarter : -quarter),
+                    y: center.y + (index & 2 ? quarter : -quarter),
+                    z: center.z + (index & 4 ? quarter : -quarter)
+                };
+                node.children.push(this._build(octant, childCenter, quarter, depth + 1));
+            });
+            return node;
+        }
+
+        /**
+         * Items close enough to a ray to count as hit. An item is hit when its
+         * distance from the ray is at most its own radius + radius + spread · t,
+         * where t is how far along the ray it lies; spread lets a tolerance in
+         * screen pixels grow with distance like a perspective camera's pixels do.
+         * @param {Object} origin - Ray origin { x, y, z }
+         * @param {Object} direction - Ray direction { x, y, z } (need not be normalized)
+         * @param {Object} [options]
+         * @param {number} [options.radius=0] - Hit radius around each item
+         * @param {number} [options.spread=0] - Extra hit radius per unit along the ray
+         * @returns {Array<Object>} { item, distance, offset }: distance along the
+         *   ray and from it, nearest along the ray first
+         */
+        raycast(origin, direction, options = {}) {
+            const radius = options.radius || 0;
+            const spread = options.spread || 0;
+            const length = Math.sqrt(distanceSquared(direction, { x: 0, y: 0, z: 0 })) || 1;
+            const d = { x: direction.x / length, y: direction.y / length, z: direction.z / length };
+            const hits = [];
+
+            const visit = node => {
+                // The hit radius inside this box is at most what it is at the box's far side
+                const halfDiagonal = Math.sqrt(distanceSquared(node.max, node.min)) / 2;
+                const center = {
+                    x: (node.min.x + node.max.x) / 2,
+                    y: (node.min.y + node.max.y) / 2,
+                    z: (node.min.z + node.max.z) / 2
+                };
+                const reach = Math.sqrt(distanceSquared(origin, center)) + halfDiagonal;
+                if (!rayHitsBox(origin, d, node, node.maxRadius + radius + spread * reach)) return;
+
+                if (node.children) {
+                    node.children.forEach(visit);
+                    return;
+                }
+                node.entries.forEach(entry => {
+                    const vx = entry.x - origin.x;
+                    const vy = entry.y - origin.y;
+                    const vz = entry.z - origin.z;
+                    const t = vx * d.x + vy * d.y + vz * d.z;
+                    if (t < 0) return;
+                    const offset = Math.sqrt(Math.max(vx * vx + vy * vy + vz * vz - t * t, 0));
+                    if (offset <= entry.radius + radius + spread * t) {
+                        hits.push({ item: entry.item, distance: t, offset });
+                    }
+                });
+            };
+            visit(this.root);
+
+            return hits.sort((a, b) => a.distance - b.distance);
+        }
+
+        /**
+         * Items within a distance of a point
+         * @param {Object} center - { x, y, z }
+         * @param {number} radius
+         * @returns {Array<Object>} { item, distance }, nearest first
+         */
+        withinRadius(center, radius) {
+            const found = [];
+            const radiusSquared = radius * radius;
+
+            const visit = node => {
+                if (distanceToBox(center, node) > radius) return;
+                if (node.children) {
+                    node.children.forEach(visit);
+                    return;
+                }
+                node.entries.forEach(entry => {
+                    const squared = distanceSquared(entry, center);
+                    if (squared <= radiusSquared) {
+                        found.push({ item: entry.item, distance: Math.sqrt(squared) });
+                    }
+                });
+            };
+            visit(this.root);
+
+            return found.sort((a, b) => a.distance - b.distance);
+        }
+
+        /**
+         * The items nearest a point
+         * @param {Object} center - { x, y, z }
+         * @param {number} count - How many to return at most
+         * @param {Function} [filter] - Item → false to skip it (e.g. the item at center)
+         * @returns {Array<Object>} { item, distance }, nearest first
+         */
+        nearest(center, count, filter) {
+            const found = [];
+            if (!(count > 0)) return found;
+            const worst = () => (found.length < count ? Infinity : found[found.length - 1].distance);
+
+            const visit = node => {
+                if (distanceToBox(center, node) > worst()) return;
+                if (node.children) {
+                    // Closest octants first, so the rest can be pruned sooner
+                    node.children
+                        .map(child => ({ child, distance: distanceToBox(center, child) }))
+                        .sort((a, b) => a.distance - b.distance)
+                        .forEach(({ child }) => visit(child));
+                    return;
+                }
+                node.entries.forEach(entry => {
+                    if (filter && !filter(entry.item)) return;
+                    const distance = Math.sqrt(distanceSquared(entry, center));
+                    if (distance >= worst()) return;
+                    // Insert in order, dropping the farthest beyond count
+                    let i = found.length;
+                    while (i > 0 && found[i - 1].distance > distance) i--;
+                    found.splice(i, 0, { item: entry.item, distance });
+                    if (found.length > count) found.pop();
+                });
+            };
+            visit(this.root);
+
+            return found;
+        }
+    }
+
+    return {
+        PointOctree
+    };
+});
@@ -0,0 +1,264 @@
+// Simulation clock shared by the viewers: a simulated epoch that advances at
+// a chosen rate (real time up to years per second), can be paused, reversed
+// or set to any date, and drives every orbital and spin animation.
+// Loadable from Node (require) and the browser (window.SimClock).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimClock = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MS_PER_DAY = 86400000;
+    const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0); // 2000-01-01 12:00 UTC
+    const MAX_TIME = 8.64e15; // Furthest epoch a Date can hold, either side of 1970
+
+    // Simulated seconds per real second
+    const RATE_PRESETS = [
+        { label: 'Real time', rate: 1 },
+        { label: '1 min/s', rate: 60 },
+        { label: '1 hour/s', rate: 3600 },
+        { label: '1 day/s', rate: 86400 },
+        { label: '1 week/s', rate: 604800 },
+        { label: '1 month/s', rate: 2629800 },
+        { label: '1 year/s', rate: 31557600 },
+        { label: '10 years/s', rate: 315576000 }
+    ];
+
+    /**
+     * Keep an epoch within the range a Date can represent
+     * @param {number} time - ms since 1970
+     * @returns {number}
+     */
+    function clampTime(time) {
+        return Math.min(MAX_TIME, Math.max(-MAX_TIME, time));
+    }
+
+    /**
+     * The preset closest to a rate (by ratio), keeping its direction, so the
+     * rate control can always show it
+     * @param {number} rate - Simulated seconds per real second, non-zero
+     * @returns {number}
+     */
+    function nearestPresetRate(rate) {
+        const magnitude = Math.abs(rate);
+        let nearest = RATE_PRESETS[0].rate;
+        RATE_PRESETS.forEach(preset => {
+            if (Math.abs(Math.log(preset.rate / magnitude)) < Math.abs(Math.log(nearest / magnitude))) {
+                nearest = preset.rate;
+            }
+        });
+        return rate < 0 ? -nearest : nearest;
+    }
+
+    function defaultNow() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /**
+     * Simulated time that advances with real time at a configurable rate
+     */
+    class SimulationClock {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.time=Date.now()] - Initial epoch in ms since 1970 (UTC)
+         * @param {number} [options.rate=86400] - Simulated seconds per real second
+         * @param {boolean} [options.paused=false]
+         * @param {Function} [options.now] - Real-time source in ms, for testing
+         */
+        constructor(options = {}) {
+            this.time = options.time !== undefined ? options.time : Date.now();
+            this.rate = options.rate !== undefined ? options.rate : 86400;
+            this.paused = options.paused === true;
+            this.now = options.now || defaultNow;
+            this.lastTick = this.now();
+            this.listeners = [];
+        }
+
+        /**
+         * Advance by the real time elapsed since the previous tick. Call once per frame.
+         * @returns {number} Simulated time in ms since 1970
+         */
+        tick() {
+            const now = this.now();
+            const elapsed = now - this.lastTick;
+            this.lastTick = now;
+            if (!this.paused) {
+                this.time = clampTime(this.time + elapsed * this.rate);
+            }
+            return this.time;
+        }
+
+        getTime() {
+            return this.time;
+        }
+
+        getDate() {
+            return new Date(this.time);
+        }
+
+        /**
+         * Simulated time as days since J2000, the epoch orbital phases are measured from
+         * @returns {number} Days (fractional)
+         */
+        daysSinceJ2000() {
+            return (this.time - J2000) / MS_PER_DAY;
+        }
+
+        setTime(time) {
+            this.time = clampTime(time instanceof Date ? time.getTime() : time);
+            this.notify();
+        }
+
+        setRate(rate) {
+            this.rate = rate;
+            this.notify();
+        }
+
+        // Run time backwards (or forwards again) at the same speed
+        reverse() {
+            this.rate = -this.rate;
+            this.notify();
+        }
+
+        isReversed() {
+            return this.rate < 0;
+        }
+
+        pause() {
+            this.paused = true;
+            this.notify();
+        }
+
+        play() {
+            // Don't count the paused interval as elapsed time
+            this.lastTick = this.now();
+            this.paused = false;
+            this.notify();
+        }
+
+        togglePause() {
+            if (this.paused) {
+                this.play();
+            } else {
+                this.pause();
+            }
+        }
+
+        /**
+         * Register a listener called after any change other than a tick
+         * @param {Function} listener - Called with the clock
+         */
+        onChange(listener) {
+            this.listeners.push(listener);
+        }
+
+        notify() {
+            this.listeners.forEach(listener => listener(this));
+        }
+
+        /**
+         * Serializable state, enough to reproduce the clock elsewhere
+         * @returns {Object} { time, rate, paused }
+         */
+        getState() {
+            return { time: this.time, rate: this.rate, paused: this.paused };
+        }
+
+        /**
+         * Restore a state from getState() or a shared link. Out-of-range times
+         * are clamped and rates snapped to the nearest preset.
+         * @param {Object} state - { time, rate, paused }; missing or invalid values are kept
+         */
+        setState(state) {
+            if (Number.isFinite(state.time)) this.time = clampTime(state.time);
+            if (Number.isFinite(state.rate) && state.rate !== 0) this.rate = nearestPresetRate(state.rate);
+            if (typeof state.paused === 'boolean') this.paused = state.paused;
+            this.lastTick = this.now();
+            this.notify();
+        }
+    }
+
+    // "2026-10-19 14:03 UTC"
+    function formatDate(time) {
+        // Drop seconds from the end: years past 9999 are written with a sign and six digits
+        return new Date(clampTime(time)).toISOString().replace(/:\d\d\.\d{3}Z$/, '').replace('T', ' ') + ' UTC';
+    }
+
+    /**
+     * Wire the standard clock controls (see the #sim-clock markup in the viewers)
+     * to a clock. Missing elements are skipped.
+     * @param {SimulationClock} clock
+     * @param {Document} doc - Document containing the controls
+     */
+    function bindClockControls(clock, doc) {
+        const playButton = doc.getElementById('clock-play-btn');
+        const reverseButton = doc.getElementById('clock-reverse-btn');
+        const rateSelect = doc.getElementById('clock-rate-select');
+        const dateInput = doc.getElementById('clock-date-input');
+        const nowButton = doc.getElementById('clock-now-btn');
+
+        if (rateSelect) {
+            rateSelect.innerHTML = '';
+            RATE_PRESETS.forEach(preset => {
+                const option = doc.createElement('option');
+                option.value = preset.rate;
+                option.textContent = preset.label;
+                rateSelect.appendChild(option);
+            });
+            rateSelect.addEventListener('change', () => {
+                const rate = parseFloat(rateSelect.value);
+                clock.setRate(clock.isReversed() ? -rate : rate);
+            });
+        }
+        if (playButton) {
+            playButton.addEventListener('click', () => clock.togglePause());
+        }
+        if (reverseButton) {
+            reverseButton.addEventListener('click', () => clock.reverse());
+        }
+        if (dateInput) {
+            // Jump to midnight UTC of the chosen date
+            dateInput.addEventListener('change', () => {
+                const time = Date.parse(`${dateInput.value}T00:00:00Z`);
+                if (Number.isFinite(time)) clock.setTime(time);
+            });
+        }
+        if (nowButton) {
+            nowButton.addEventListener('click', () => clock.setTime(Date.now()));
+        }
+
+        function render() {
+            if (playButton) playButton.textContent = clock.paused ? '▶️' : '⏸️';
+            if (reverseButton) reverseButton.classList.toggle('active', clock.isReversed());
+            if (rateSelect) rateSelect.value = String(Math.abs(clock.rate));
+        }
+        clock.onChange(render);
+        render();
+
+        // The date changes every frame, so refresh the readouts on a timer instead
+        const display = doc.getElementById('clock-date-display');
+        const refresh = () => {
+            if (display) display.textContent = formatDate(clock.time);
+            if (dateInput && doc.activeElement !== dateInput) {
+                dateInput.value = new Date(clampTime(clock.time)).toISOString().slice(0, 10);
+            }
+        };
+        refresh();
+        setInterval(refresh, 250);
+    }
+
+    return {
+        SimulationClock,
+        RATE_PRESETS,
+        J2000,
+        MS_PER_DAY,
+        MAX_TIME,
+        clampTime,
+        nearestPresetRate,
+        formatDate,
+        bindClockControls
+    };
+});
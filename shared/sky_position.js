@@ -0,0 +1,133 @@
+// Places host stars in 3D around the Sun from their right ascension,
+// declination and distance, and describes the Kepler field's footprint on the
+// sky. Scene axes: +y points to the north celestial pole, +x to RA 0h, and RA
+// increases towards -z, so the sky isn't mirrored when seen from the Sun.
+// Loadable from Node (require) and the browser (window.SkyPosition).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SkyPosition = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEG = Math.PI / 180;
+
+    // Distance layouts, in scene units. "true" keeps distances proportional
+    // (25 pc per unit); "log" compresses them so nearby TESS hosts and
+    // kiloparsec Kepler hosts both stay readable: 10 pc → 45, 1 kpc → 300.
+    const DISTANCE_LAYOUTS = {
+        true: pc => pc / 25,
+        log: pc => 150 * Math.log10(1 + pc / 10)
+    };
+
+    // The Kepler focal plane: 21 CCD modules in a 5 × 5 grid without its
+    // corners, centred on RA 19h 22m 40s, Dec +44° 30'. Module pitch and roll
+    // were fitted to the KOI positions in "cesium viewer/results.csv".
+    const KEPLER_FIELD = {
+        ra: 290.6667,
+        dec: 44.5,
+        modulePitch: 2.77,
+        rotation: 33
+    };
+
+    // Outline of the module grid in pitch units, counterclockwise from the
+    // lower edge of the bottom row
+    const KEPLER_GRID_OUTLINE = [
+        [-1.5, -2.5], [1.5, -2.5], [1.5, -1.5], [2.5, -1.5], [2.5, 1.5], [1.5, 1.5],
+        [1.5, 2.5], [-1.5, 2.5], [-1.5, 1.5], [-2.5, 1.5], [-2.5, -1.5], [-1.5, -1.5]
+    ];
+
+    /**
+     * Cartesian position of a point on the sky at a given distance
+     * @param {number} ra - Right ascension in degrees
+     * @param {number} dec - Declination in degrees
+     * @param {number} distance - Distance in scene units
+     * @returns {Object} { x, y, z }
+     */
+    function equatorialToCartesian(ra, dec, distance) {
+        const cosDec = Math.cos(dec * DEG);
+        return {
+            x: distance * cosDec * Math.cos(ra * DEG),
+            y: distance * Math.sin(dec * DEG),
+            z: -distance * cosDec * Math.sin(ra * DEG)
+        };
+    }
+
+    /**
+     * Scene distance for a distance in parsecs
+     * @param {number} parsecs
+     * @param {string} [layout="log"] - Key of DISTANCE_LAYOUTS
+     * @returns {number} Scene units
+     */
+    function sceneDistance(parsecs, layout = 'log') {
+        const scale = DISTANCE_LAYOUTS[layout] || DISTANCE_LAYOUTS.log;
+        return scale(Math.max(parsecs, 0));
+    }
+
+    // Gnomonic (tangent-plane) offsets in degrees around a centre back to RA/Dec
+    function fromTangentPlane(center, xi, eta) {
+        const x = xi * DEG;
+        const y = eta * DEG;
+        const ra0 = center.ra * DEG;
+        const dec0 = center.dec * DEG;
+        const denominator = Math.cos(dec0) - y * Math.sin(dec0);
+        const ra = ra0 + Math.atan2(x, denominator);
+        const dec = Math.atan2(Math.sin(dec0) + y * Math.cos(dec0), Math.sqrt(x * x + denominator * denominator));
+        return { ra: ((ra / DEG) % 360 + 360) % 360, dec: dec / DEG };
+    }
+
+    /**
+     * Corners of the Kepler field's outline on the sky
+     * @returns {Array<Object>} { ra, dec } in degrees, in drawing order
+     */
+    function keplerFieldOutline() {
+        const { modulePitch, rotation } = KEPLER_FIELD;
+        const cos = Math.cos(rotation * DEG);
+        const sin = Math.sin(rotation * DEG);
+        return KEPLER_GRID_OUTLINE.map(([u, v]) => {
+            // Rotate the grid into east (xi) / north (eta) offsets
+            const xi = (u * cos - v * sin) * modulePitch;
+            const eta = (u * sin + v * cos) * modulePitch;
+            return fromTangentPlane(KEPLER_FIELD, xi, eta);
+        });
+    }
+
+    /**
+     * Sky coordinates from a CSV with kepoi_name, kepid, ra and dec columns
+     * (the format of the cesium viewer's results.csv)
+     * @param {string} text - CSV contents
+     * @returns {Map<string, Object>} { ra, dec } keyed by KOI name ("K00753.01")
+     *   and by host ("KIC 10811496")
+     */
+    function parseCoordinateCSV(text) {
+        const coordinates = new Map();
+        const lines = text.trim().split(/\r?\n/);
+        const header = lines.shift().split(',').map(name => name.trim());
+        const column = name => header.indexOf(name);
+        const [nameColumn, kepidColumn, raColumn, decColumn] =
+            ['kepoi_name', 'kepid', 'ra', 'dec'].map(column);
+        if (raColumn < 0 || decColumn < 0) return coordinates;
+
+        lines.forEach(line => {
+            const cells = line.split(',');
+            const ra = parseFloat(cells[raColumn]);
+            const dec = parseFloat(cells[decColumn]);
+            if (!Number.isFinite(ra) || !Number.isFinite(dec)) return;
+            const position = { ra, dec };
+            if (nameColumn >= 0 && cells[nameColumn]) coordinates.set(cells[nameColumn].trim(), position);
+            if (kepidColumn >= 0 && cells[kepidColumn]) coordinates.set(`KIC ${cells[kepidColumn].trim()}`, position);
+        });
+        return coordinates;
+    }
+
+    return {
+        DISTANCE_LAYOUTS,
+        KEPLER_FIELD,
+        equatorialToCartesian,
+        sceneDistance,
+        keplerFieldOutline,
+        parseCoordinateCSV
+    };
+});
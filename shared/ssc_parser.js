@@ -0,0 +1,494 @@
+// Lexer and parser for Celestia solar system catalog (.ssc) files.
+// Loadable from Node (require) and the browser (window.SSCParser).
+//
+// Grammar (Celestia's catalog syntax, plus the "52%" numbers our exports use):
+//
+//   file       := object*
+//   object     := [disposition] [objectType] STRING STRING block
+//   block      := '{' (IDENTIFIER value)* '}'
+//   value      := NUMBER | STRING | BOOLEAN | IDENTIFIER | array | block
+//   array      := '[' value* ']'
+//
+// Comments start with '#' and run to the end of the line. They are kept in
+// the AST as `comments` on the object or property that follows them.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SSCParser = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DISPOSITIONS = ['Add', 'Replace', 'Modify'];
+    const OBJECT_TYPES = ['Body', 'ReferencePoint', 'AltSurface', 'Location'];
+
+    /**
+     * Syntax error raised by the lexer or parser, with the source position
+     */
+    class SSCSyntaxError extends Error {
+        constructor(message, line, column) {
+            super(`${message} (line ${line}, column ${column})`);
+            this.name = 'SSCSyntaxError';
+            this.line = line;
+            this.column = column;
+        }
+    }
+
+    function isDigit(ch) {
+        return ch >= '0' && ch <= '9';
+    }
+
+    function isIdentifierStart(ch) {
+        return (ch >= 'A' && ch <= 'Z') || (ch >= 'a' && ch <= 'z') || ch === '_';
+    }
+
+    function isIdentifierPart(ch) {
+        return isIdentifierStart(ch) || isDigit(ch);
+    }
+
+    /**
+     * Split .ssc source text into tokens
+     * @param {string} source - Contents of an .ssc file
+     * @param {Object} [options]
+     * @param {number} [options.line=1] - Line number of the first character
+     * @param {number} [options.column=1] - Column of the first character
+     * @param {boolean} [options.recover=false] - Emit an 'error' token (with the
+     *   SSCSyntaxError as its value) and carry on instead of throwing; strings
+     *   then end at a line break, so an unclosed quote costs one line
+     * @returns {Array} Tokens: { type, value, raw, line, column }
+     */
+    function tokenize(source, options = {}) {
+        const recover = options.recover === true;
+        const tokens = [];
+        let pos = 0;
+        let line = options.line || 1;
+        let column = options.column || 1;
+
+        function fail(message, errorLine, errorColumn) {
+            const error = new SSCSyntaxError(message, errorLine, errorColumn);
+            if (!recover) throw error;
+            tokens.push({ type: 'error', value: error, line: errorLine, column: errorColumn });
+        }
+
+        function advance() {
+            const ch = source[pos++];
+            if (ch === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            return ch;
+        }
+
+        while (pos < source.length) {
+            const ch = source[pos];
+            const startLine = line;
+            const startColumn = column;
+
+            // Whitespace
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n' || ch === '\uFEFF') {
+                advance();
+                continue;
+            }
+
+            // Comments run to the end of the line
+            if (ch === '#') {
+                let text = '';
+                advance();
+                while (pos < source.length && source[pos] !== '\n') {
+                    text += advance();
+                }
+                tokens.push({ type: 'comment', value: text.trim(), line: startLine, column: startColumn });
+                continue;
+            }
+
+            // Punctuation
+            if (ch === '{' || ch === '}' || ch === '[' || ch === ']') {
+                advance();
+                tokens.push({ type: ch, value: ch, line: startLine, column: startColumn });
+                continue;
+            }
+
+            // Quoted strings with backslash escapes
+            if (ch === '"') {
+                let value = '';
+                advance();
+                let closed = false;
+                while (pos < source.length) {
+                    if (recover && source[pos] === '\n') break;
+                    const c = advance();
+                    if (c === '"') {
+                        closed = true;
+                        break;
+                    }
+                    if (c === '\\' && pos < source.length) {
+                        const escaped = advance();
+                        value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                    } else {
+                        value += c;
+                    }
+                }
+                if (!closed) {
+                    fail('Unterminated string', startLine, startColumn);
+                    continue;
+                }
+                tokens.push({ type: 'string', value, line: startLine, column: startColumn });
+                continue;
+            }
+
+            // Numbers, optionally signed, with exponent and a trailing percent sign
+            if (isDigit(ch) || ((ch === '-' || ch === '+' || ch === '.') && pos + 1 < source.length &&
+                (isDigit(source[pos + 1]) || source[pos + 1] === '.'))) {
+                const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?%?/.exec(source.slice(pos, pos + 64));
+                if (!match) {
+                    fail('Invalid number', startLine, startColumn);
+                    advance();
+                    continue;
+                }
+                const raw = match[0];
+                for (let i = 0; i < raw.length; i++) advance();
+                const percent = raw.endsWith('%');
+                const value = parseFloat(percent ? raw.slice(0, -1) : raw);
+                tokens.push({
+                    type: 'number',
+                    value,
+                    unit: percent ? '%' : null,
+                    raw,
+                    line: startLine,
+                    column: startColumn
+                });
+                continue;
+            }
+
+            // Identifiers (property keys, booleans and bare words)
+            if (isIdentifierStart(ch)) {
+                let value = '';
+                while (pos < source.length && isIdentifierPart(source[pos])) {
+                    value += advance();
+                }
+                tokens.push({ type: 'identifier', value, line: startLine, column: startColumn });
+                continue;
+            }
+
+            fail(`Unexpected character '${ch}'`, startLine, startColumn);
+            advance();
+        }
+
+        tokens.push({ type: 'eof', value: null, line, column });
+        return tokens;
+    }
+
+    /**
+     * Parse .ssc source into an AST
+     * @param {string} source - Contents of an .ssc file
+     * @param {Object} [options]
+     * @param {boolean} [options.recover=false] - Collect errors (lexer errors
+     *   included) and skip to the next object instead of throwing on the first
+     *   syntax error
+     * @param {number} [options.line=1] - Line number of the first character,
+     *   for parsing a piece of a larger file (see createObjectReader)
+     * @param {number} [options.column=1] - Column of the first character
+     * @returns {Object} { type: 'File', objects, comments, errors }
+     */
+    function parse(source, options = {}) {
+        const recover = options.recover === true;
+        const tokens = tokenize(source, options);
+        const errors = [];
+        let index = 0;
+        let pendingComments = [];
+
+        function peek() {
+            // Comments are collected so they can be attached to the next node;
+            // lexer errors (recover mode only) are raised where they are reached
+            while (tokens[index].type === 'comment' || tokens[index].type === 'error') {
+                const token = tokens[index++];
+                if (token.type === 'error') throw token.value;
+                pendingComments.push(token.value);
+            }
+            return tokens[index];
+        }
+
+        function next() {
+            const token = peek();
+            index++;
+            return token;
+        }
+
+        function takeComments() {
+            const comments = pendingComments;
+            pendingComments = [];
+            return comments;
+        }
+
+        function describe(token) {
+            if (token.type === 'eof') return 'end of file';
+            if (token.type === 'string') return `string "${token.value}"`;
+            if (token.type === 'number') return `number ${token.raw}`;
+            if (token.type === 'identifier') return `'${token.value}'`;
+            return `'${token.type}'`;
+        }
+
+        function expect(type, context) {
+            const token = next();
+            if (token.type !== type) {
+                throw new SSCSyntaxError(
+                    `Expected ${type === 'string' ? 'a quoted string' : `'${type}'`} ${context}, found ${describe(token)}`,
+                    token.line,
+                    token.column
+                );
+            }
+            return token;
+        }
+
+        function parseValue() {
+            const token = peek();
+            switch (token.type) {
+                case 'number':
+                    next();
+                    return { type: 'Number', value: token.value, unit: token.unit, raw: token.raw, line: token.line, column: token.column };
+                case 'string':
+                    next();
+                    return { type: 'String', value: token.value, line: token.line, column: token.column };
+                case 'identifier':
+                    next();
+                    if (token.value === 'true' || token.value === 'false') {
+                        return { type: 'Boolean', value: token.value === 'true', line: token.line, column: token.column };
+                    }
+                    return { type: 'Identifier', value: token.value, line: token.line, column: token.column };
+                case '[':
+                    return parseArray();
+                case '{':
+                    return parseBlock();
+                default:
+                    throw new SSCSyntaxError(`Expected a value, found ${describe(token)}`, token.line, token.column);
+            }
+        }
+
+        function parseArray() {
+            const open = expect('[', 'to start an array');
+            const elements = [];
+            while (peek().type !== ']') {
+                if (peek().type === 'eof') {
+                    throw new SSCSyntaxError(`Unclosed '[' opened`, open.line, open.column);
+                }
+                elements.push(parseValue());
+            }
+            next();
+            takeComments();
+            return { type: 'Array', elements, line: open.line, column: open.column };
+        }
+
+        function parseBlock() {
+            const open = expect('{', 'to start a property block');
+            const properties = [];
+            while (peek().type !== '}') {
+                const token = peek();
+                if (token.type === 'eof') {
+                    throw new SSCSyntaxError(`Unclosed '{' opened`, open.line, open.column);
+                }
+                if (token.type !== 'identifier') {
+                    throw new SSCSyntaxError(`Expected a property name, found ${describe(token)}`, token.line, token.column);
+                }
+                next();
+                const comments = takeComments();
+                const value = parseValue();
+                properties.push({ type: 'Property', key: token.value, value, comments, line: token.line, column: token.column });
+            }
+            next();
+            takeComments();
+            return { type: 'Block', properties, line: open.line, column: open.column };
+        }
+
+        function parseObject() {
+            const start = peek();
+            const comments = takeComments();
+            let disposition = 'Add';
+            let objectType = 'Body';
+
+            if (start.type === 'identifier' && DISPOSITIONS.includes(start.value)) {
+                disposition = next().value;
+            }
+            const typeToken = peek();
+            if (typeToken.type === 'identifier' && OBJECT_TYPES.includes(typeToken.value)) {
+                objectType = next().value;
+            }
+
+            const nameToken = expect('string', 'for the object name');
+            const parentToken = expect('string', 'for the parent object');
+            const properties = parseBlock();
+
+            return {
+                type: 'Object',
+                disposition,
+                objectType,
+                // Celestia separates alternative names with ':'
+                names: nameToken.value.split(':'),
+                parent: parentToken.value,
+                properties,
+                comments,
+                line: start.line,
+                column: start.column
+            };
+        }
+
+        // Skip ahead to the next token that can start an object at the top level
+        function synchronize() {
+            let depth = 0;
+            for (;;) {
+                let token;
+                try {
+                    token = peek();
+                } catch (error) {
+                    errors.push(error);
+                    continue;
+                }
+                if (token.type === 'eof') return;
+                if (depth === 0 && token.type === 'string' && tokens[index + 1] && tokens[index + 1].type === 'string') {
+                    return;
+                }
+                if (token.type === '{') depth++;
+                if (token.type === '}') depth = Math.max(0, depth - 1);
+                next();
+            }
+        }
+
+        const objects = [];
+        for (;;) {
+            const checkpoint = index;
+            try {
+                if (peek().type === 'eof') break;
+                objects.push(parseObject());
+            } catch (error) {
+                if (!recover || !(error instanceof SSCSyntaxError)) throw error;
+                errors.push(error);
+                takeComments();
+                // Always make progress, even if the error was on the first token
+                if (index === checkpoint) next();
+                synchronize();
+            }
+        }
+
+        return { type: 'File', objects, comments: takeComments(), errors };
+    }
+
+    /**
+     * Incremental splitter for reading large .ssc files in chunks. It tracks
+     * strings, comments and brace depth, and hands back the source of each
+     * complete top-level object (with the comments before it) so it can be
+     * parsed on its own. Unbalanced input is flushed by end().
+     * @returns {Object} { write(chunk), end() }; both return the completed
+     *   pieces as { source, line, column }, to pass to parse() with the same
+     *   line and column
+     */
+    function createObjectReader() {
+        let buffer = '';
+        let scanned = 0;
+        let depth = 0;
+        let inString = false;
+        let inComment = false;
+        let escaped = false;
+        // Position of the buffer's first character, and of the next one to scan
+        let start = { line: 1, column: 1 };
+        let line = 1;
+        let column = 1;
+
+        function write(chunk) {
+            const pieces = [];
+            let pieceStart = 0;
+            buffer += chunk;
+
+            for (; scanned < buffer.length; scanned++) {
+                const ch = buffer[scanned];
+                if (ch === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+
+                if (inComment) {
+                    if (ch === '\n') inComment = false;
+                } else if (inString) {
+                    // Like the recovering lexer, a line break ends an unclosed string
+                    if (escaped) escaped = false;
+                    else if (ch === '\\') escaped = true;
+                    else if (ch === '"' || ch === '\n') inString = false;
+                } else if (ch === '#') {
+                    inComment = true;
+                } else if (ch === '"') {
+                    inString = true;
+                } else if (ch === '{') {
+                    depth++;
+                } else if (ch === '}' && depth > 0) {
+                    depth--;
+                    if (depth === 0) {
+                        // End of a top-level object
+                        pieces.push({ source: buffer.slice(pieceStart, scanned + 1), line: start.line, column: start.column });
+                        pieceStart = scanned + 1;
+                        start = { line, column };
+                    }
+                }
+            }
+
+            // Keep only the unfinished object
+            buffer = buffer.slice(pieceStart);
+            scanned -= pieceStart;
+            return pieces;
+        }
+
+        function end() {
+            const rest = buffer;
+            buffer = '';
+            scanned = 0;
+            return rest.trim() ? [{ source: rest, line: start.line, column: start.column }] : [];
+        }
+
+        return { write, end };
+    }
+
+    /**
+     * Find the first property with the given key, searching nested blocks depth-first
+     * @param {Object} block - Block node
+     * @param {string} key - Property name (case-sensitive, as in Celestia)
+     * @returns {Object|null} The value node, or null if absent
+     */
+    function findProperty(block, key) {
+        if (!block || block.type !== 'Block') return null;
+        for (const property of block.properties) {
+            if (property.key === key) return property.value;
+        }
+        for (const property of block.properties) {
+            if (property.value.type === 'Block') {
+                const found = findProperty(property.value, key);
+                if (found) return found;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Convert a value node into a plain JavaScript value
+     * @param {Object} node - Value node
+     * @returns {*} Number, string, boolean, array or object
+     */
+    function toPlainValue(node) {
+        if (!node) return undefined;
+        switch (node.type) {
+            case 'Array':
+                return node.elements.map(toPlainValue);
+            case 'Block': {
+                const result = {};
+                node.properties.forEach(property => {
+                    result[property.key] = toPlainValue(property.value);
+                });
+                return result;
+            }
+            default:
+                return node.value;
+        }
+    }
+
+    return { tokenize, parse, createObjectReader, findProperty, toPlainValue, SSCSyntaxError };
+});
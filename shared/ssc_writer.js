@@ -0,0 +1,106 @@
+// Serializer for Celestia solar system catalog (.ssc) files: the inverse of
+// parse_koi.js's planetFromSSCObject. Loadable from Node (require) and the
+// browser (window.SSCWriter, after shared/units.js).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./units'));
+    } else {
+        root.SSCWriter = factory(root.Units);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Units) {
+    'use strict';
+
+    const INDENT = '    ';
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    // Placeholders (fields listed in `imputed`) are left out, so reading the
+    // file back marks them as imputed again instead of as catalog values
+    function provided(planet, field, value) {
+        return isNumber(value) && !(planet.imputed || []).includes(field);
+    }
+
+    function quote(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+
+    // Object IDs and parents may not be present on hand-made planets
+    function objectId(planet) {
+        return planet.id || planet.name || 'Unnamed';
+    }
+
+    function parentName(planet) {
+        if (planet.star) return planet.star;
+        return `Star-${planet.system || objectId(planet)}`;
+    }
+
+    /**
+     * Serialize one planet record as an .ssc object
+     * @param {Object} planet - Planet record (koiData.json schema)
+     * @returns {string} .ssc text for the object, without a trailing blank line
+     */
+    function serializePlanet(planet) {
+        const lines = [];
+        lines.push(`${quote(objectId(planet))} ${quote(parentName(planet))}`);
+        lines.push('{');
+        lines.push(`${INDENT}Class ${quote(planet.class || 'Planet')}`);
+
+        if (provided(planet, 'radius', planet.radius)) {
+            lines.push(`${INDENT}Radius ${planet.radius.toFixed(2)}`);
+        }
+        if (planet.texture) {
+            lines.push(`${INDENT}Texture ${quote(planet.texture)}`);
+        }
+
+        // Orbital elements, plus the catalog extras our .ssc files keep in the same block
+        const orbit = planet.ellipticalOrbit || {};
+        const orbitLines = [];
+        ['period', 'semiMajorAxis', 'eccentricity', 'inclination'].forEach(key => {
+            if (provided(planet, `ellipticalOrbit.${key}`, orbit[key])) {
+                orbitLines.push(`${key[0].toUpperCase()}${key.slice(1)} ${orbit[key].toFixed(6)}`);
+            }
+        });
+        // Distances are stored in parsecs; older records keep the .ssc text
+        const distance = Units.asDistance(planet.distance);
+        if (distance) {
+            orbitLines.push(`Distance ${quote(Units.distanceToText(distance))}`);
+        } else if (typeof planet.distance === 'string' && planet.distance) {
+            orbitLines.push(`Distance ${quote(planet.distance)}`);
+        }
+        if (provided(planet, 'confidence', planet.confidence)) {
+            orbitLines.push(`Confidence ${Math.round(planet.confidence * 100)}%`);
+        }
+        // Only catalog temperatures; computed ones would read back as measured
+        if (isNumber(planet.temperature) && (!planet.temperatureSource || planet.temperatureSource === 'measured')) {
+            orbitLines.push(`Temperature ${planet.temperature.toFixed(1)}`);
+        }
+
+        if (orbitLines.length > 0) {
+            lines.push(`${INDENT}EllipticalOrbit`);
+            lines.push(`${INDENT}{`);
+            orbitLines.forEach(line => lines.push(`${INDENT}${INDENT}${line}`));
+            lines.push(`${INDENT}}`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialize a list of planets as a complete .ssc file
+     * @param {Array} planets - Planet records
+     * @param {Object} [options]
+     * @param {string} [options.header] - Comment placed at the top of the file
+     * @returns {string} .ssc file contents
+     */
+    function serializeCatalog(planets, options = {}) {
+        const header = options.header
+            ? options.header.split('\n').map(line => `# ${line}`).join('\n') + '\n\n'
+            : '';
+        return header + planets.map(serializePlanet).join('\n\n') + '\n';
+    }
+
+    return { serializePlanet, serializeCatalog };
+});
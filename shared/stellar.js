@@ -0,0 +1,175 @@
+// Host star model: fills in a stellar record (effective temperature, radius,
+// mass, luminosity, spectral type) from whatever the catalogs provide, and
+// converts temperatures to display colors. Loadable from Node (require) and
+// the browser (window.StellarModel).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StellarModel = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SUN_TEFF = 5772;      // K
+    const SUN_LOG_G = 4.438;    // cgs
+
+    // Dynamical masses outside this range (M☉) come from inconsistent catalog
+    // orbits rather than real hosts: no planet host is known above ~10 M☉
+    const HOST_MASS_RANGE = { min: 0.08, max: 10 };
+
+    // Main-sequence temperature ranges (K) for each spectral class, hottest first
+    const SPECTRAL_CLASSES = [
+        { letter: 'O', min: 30000, max: 50000 },
+        { letter: 'B', min: 10000, max: 30000 },
+        { letter: 'A', min: 7500, max: 10000 },
+        { letter: 'F', min: 6000, max: 7500 },
+        { letter: 'G', min: 5200, max: 6000 },
+        { letter: 'K', min: 3700, max: 5200 },
+        { letter: 'M', min: 2400, max: 3700 }
+    ];
+
+    function isPositive(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Main-sequence mass–luminosity relation
+     * @param {number} mass - Stellar mass in solar masses
+     * @returns {number} Luminosity in solar luminosities
+     */
+    function luminosityFromMass(mass) {
+        if (mass < 0.43) return 0.23 * Math.pow(mass, 2.3);
+        if (mass < 2) return Math.pow(mass, 4);
+        if (mass < 55) return 1.4 * Math.pow(mass, 3.5);
+        return 32000 * mass;
+    }
+
+    /**
+     * Dynamical host mass from a planet's orbit (Kepler's third law, solar units)
+     * @param {number} periodDays - Orbital period in days
+     * @param {number} semiMajorAxis - Semi-major axis in AU
+     * @returns {number|null} Mass in solar masses, or null if the orbit is unusable
+     */
+    function massFromOrbit(periodDays, semiMajorAxis) {
+        if (!isPositive(periodDays) || !isPositive(semiMajorAxis)) return null;
+        const periodYears = periodDays / 365.25;
+        return Math.pow(semiMajorAxis, 3) / (periodYears * periodYears);
+    }
+
+    /**
+     * Spectral type for a main-sequence star of the given temperature
+     * @param {number} effectiveTemperature - Temperature in K
+     * @returns {string} e.g. "G2V"
+     */
+    function spectralType(effectiveTemperature) {
+        const teff = clamp(effectiveTemperature, SPECTRAL_CLASSES[SPECTRAL_CLASSES.length - 1].min, SPECTRAL_CLASSES[0].max);
+        const spectralClass = SPECTRAL_CLASSES.find(c => teff >= c.min) || SPECTRAL_CLASSES[SPECTRAL_CLASSES.length - 1];
+        const subclass = clamp(Math.floor(10 * (spectralClass.max - teff) / (spectralClass.max - spectralClass.min)), 0, 9);
+        return `${spectralClass.letter}${subclass}V`;
+    }
+
+    /**
+     * Complete a stellar record, estimating missing values with main-sequence relations
+     * @param {Object} [known] - Measured values: effectiveTemperature (K), radius (R☉),
+     *   mass (M☉), luminosity (L☉), surfaceGravity (log g, cgs)
+     * @param {Object} [orbit] - A planet's ellipticalOrbit, used for a dynamical mass
+     * @returns {Object} { effectiveTemperature, radius, mass, luminosity, spectralType }
+     */
+    function estimateStellarProperties(known = {}, orbit = null) {
+        let teff = isPositive(known.effectiveTemperature) ? known.effectiveTemperature : null;
+        let radius = isPositive(known.radius) ? known.radius : null;
+        let mass = isPositive(known.mass) ? known.mass : null;
+        let luminosity = isPositive(known.luminosity) ? known.luminosity : null;
+        const logG = typeof known.surfaceGravity === 'number' ? known.surfaceGravity : null;
+
+        // Mass: surface gravity, then the planet's orbit, then radius or temperature
+        if (mass === null && logG !== null && radius !== null) {
+            mass = Math.pow(10, logG - SUN_LOG_G) * radius * radius;
+        }
+        if (mass === null && orbit) {
+            const dynamicalMass = massFromOrbit(orbit.period, orbit.semiMajorAxis);
+            if (dynamicalMass >= HOST_MASS_RANGE.min && dynamicalMass <= HOST_MASS_RANGE.max) {
+                mass = dynamicalMass;
+            }
+        }
+        if (mass === null && radius !== null) {
+            mass = Math.pow(radius, 1.25);
+        }
+        if (mass === null && teff !== null) {
+            mass = Math.pow(teff / SUN_TEFF, 1 / 0.6);
+        }
+        if (mass === null) {
+            mass = 1.0;
+        }
+
+        // Radius: surface gravity, then the main-sequence mass–radius relation
+        if (radius === null && logG !== null) {
+            radius = Math.sqrt(mass / Math.pow(10, logG - SUN_LOG_G));
+        }
+        if (radius === null) {
+            radius = Math.pow(mass, 0.8);
+        }
+
+        // Luminosity: Stefan–Boltzmann if the temperature is known, else mass–luminosity
+        if (luminosity === null) {
+            luminosity = teff !== null
+                ? radius * radius * Math.pow(teff / SUN_TEFF, 4)
+                : luminosityFromMass(mass);
+        }
+        if (teff === null) {
+            teff = SUN_TEFF * Math.pow(luminosity / (radius * radius), 0.25);
+        }
+
+        return {
+            effectiveTemperature: Math.round(teff),
+            radius: round(radius, 3),
+            mass: round(mass, 3),
+            luminosity: round(luminosity, 4),
+            spectralType: spectralType(teff)
+        };
+    }
+
+    /**
+     * Approximate sRGB color of a blackbody (Tanner Helland's fit to the CIE data)
+     * @param {number} temperature - Temperature in K
+     * @returns {number} Color as 0xRRGGBB
+     */
+    function blackbodyColor(temperature) {
+        const t = clamp(temperature, 1000, 40000) / 100;
+        let r, g, b;
+
+        if (t <= 66) {
+            r = 255;
+            g = 99.4708025861 * Math.log(t) - 161.1195681661;
+            b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+        } else {
+            r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+            g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+            b = 255;
+        }
+
+        r = Math.round(clamp(r, 0, 255));
+        g = Math.round(clamp(g, 0, 255));
+        b = Math.round(clamp(b, 0, 255));
+        return (r << 16) | (g << 8) | b;
+    }
+
+    return {
+        SUN_TEFF,
+        estimateStellarProperties,
+        luminosityFromMass,
+        massFromOrbit,
+        spectralType,
+        blackbodyColor
+    };
+});
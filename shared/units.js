@@ -0,0 +1,323 @@
+// Units for the planet schema: conversions between the stored units
+// (radius km, mass Earth masses, distance parsecs, temperature K, period days,
+// semi-major axis AU) and the display systems the viewers can switch between.
+// Loadable from Node (require) and the browser (window.Units).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Units = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Each unit's size in the base unit of its dimension (km, kg, K, s, W/m²)
+    const UNITS = {
+        m: { dimension: 'length', factor: 0.001, symbol: 'm' },
+        km: { dimension: 'length', factor: 1, symbol: 'km' },
+        earthRadius: { dimension: 'length', factor: 6371, symbol: 'R⊕' },
+        jupiterRadius: { dimension: 'length', factor: 69911, symbol: 'R♃' },
+        solarRadius: { dimension: 'length', factor: 695700, symbol: 'R☉' },
+        AU: { dimension: 'length', factor: 149597870.7, symbol: 'AU' },
+        ly: { dimension: 'length', factor: 9.4607304725808e12, symbol: 'ly' },
+        pc: { dimension: 'length', factor: 3.0856775814913673e13, symbol: 'pc' },
+        kg: { dimension: 'mass', factor: 1, symbol: 'kg' },
+        earthMass: { dimension: 'mass', factor: 5.9722e24, symbol: 'M⊕' },
+        jupiterMass: { dimension: 'mass', factor: 1.89813e27, symbol: 'M♃' },
+        solarMass: { dimension: 'mass', factor: 1.98847e30, symbol: 'M☉' },
+        K: { dimension: 'temperature', factor: 1, symbol: 'K' },
+        s: { dimension: 'time', factor: 1, symbol: 's' },
+        h: { dimension: 'time', factor: 3600, symbol: 'h' },
+        d: { dimension: 'time', factor: 86400, symbol: 'days' },
+        yr: { dimension: 'time', factor: 31557600, symbol: 'yr' },
+        wattsPerSquareMeter: { dimension: 'flux', factor: 1, symbol: 'W/m²' },
+        earthFlux: { dimension: 'flux', factor: 1361, symbol: 'S⊕' }
+    };
+
+    /**
+     * Convert a value between two units of the same dimension
+     * @param {number} value
+     * @param {string} from - Key of UNITS
+     * @param {string} to - Key of UNITS
+     * @returns {number}
+     */
+    function convert(value, from, to) {
+        const source = UNITS[from];
+        const target = UNITS[to];
+        if (!source || !target) {
+            throw new Error(`Unknown unit: ${!source ? from : to}`);
+        }
+        if (source.dimension !== target.dimension) {
+            throw new Error(`Cannot convert ${from} (${source.dimension}) to ${to} (${target.dimension})`);
+        }
+        return value * source.factor / target.factor;
+    }
+
+    /**
+     * A numeric value with its unit, as stored in the planet schema
+     * @param {number} value
+     * @param {string} unit - Key of UNITS
+     * @returns {Object} { value, unit }
+     */
+    function quantity(value, unit) {
+        return { value, unit };
+    }
+
+    /**
+     * Distance from the free-text form used in .ssc files and older datasets
+     * ("Approx. 1448.46 light years away from Earth")
+     * @param {string} text
+     * @returns {Object|null} Distance quantity in parsecs, or null if none is given
+     */
+    function distanceFromText(text) {
+        if (typeof text !== 'string') return null;
+        const match = text.match(/([\d.]+(?:e[-+]?\d+)?)\s*(light[ -]?years?|ly|parsecs?|pc)/i);
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        if (!Number.isFinite(value)) return null;
+        const unit = /^(parsec|pc)/i.test(match[2]) ? 'pc' : 'ly';
+        return quantity(convert(value, unit, 'pc'), 'pc');
+    }
+
+    /**
+     * Free-text distance for .ssc export, the inverse of distanceFromText
+     * @param {Object} distance - Distance quantity
+     * @returns {string}
+     */
+    function distanceToText(distance) {
+        const lightYears = convert(distance.value, distance.unit, 'ly');
+        return `Approx. ${parseFloat(lightYears.toPrecision(12))} light years away from Earth`;
+    }
+
+    /**
+     * Normalize a distance field from any schema version to a quantity
+     * @param {Object|string|null} distance - Quantity, legacy text, or null
+     * @returns {Object|null} Distance quantity, or null if unknown
+     */
+    function asDistance(distance) {
+        if (distance && typeof distance === 'object' && typeof distance.value === 'number') return distance;
+        return distanceFromText(distance);
+    }
+
+    /**
+     * Normalize a mass field to a quantity with bounds
+     * @param {Object|number|string|null} mass - Quantity, bare Earth masses, or legacy text
+     * @returns {Object|null} { value, lower, upper, unit }, or null if unknown
+     */
+    function asMass(mass) {
+        if (mass && typeof mass === 'object' && typeof mass.value === 'number') return mass;
+        if (typeof mass === 'number') return { value: mass, lower: null, upper: null, unit: 'earthMass' };
+        if (typeof mass === 'string') {
+            // "5.85 Jupiters" / "0.30 Earths"
+            const match = mass.match(/([\d.]+)\s*(Jupiter|Earth)/i);
+            if (match) {
+                const unit = /^j/i.test(match[2]) ? 'jupiterMass' : 'earthMass';
+                return { value: convert(parseFloat(match[1]), unit, 'earthMass'), lower: null, upper: null, unit: 'earthMass' };
+            }
+        }
+        return null;
+    }
+
+    // Display unit systems the viewers can switch between
+    const UNIT_SYSTEMS = {
+        relative: { label: 'Earth / Jupiter' },
+        astronomical: { label: 'Astronomical' },
+        si: { label: 'SI' }
+    };
+    const DEFAULT_UNIT_SYSTEM = 'relative';
+    const STORAGE_KEY = 'celestiaUnitSystem';
+
+    let currentSystem = DEFAULT_UNIT_SYSTEM;
+    const listeners = [];
+
+    // Shared between pages when localStorage is available
+    try {
+        const saved = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+        if (saved && UNIT_SYSTEMS[saved]) currentSystem = saved;
+    } catch (error) {
+        // Storage can be blocked (private mode, file://); keep the default
+    }
+
+    function getUnitSystem() {
+        return currentSystem;
+    }
+
+    function setUnitSystem(system) {
+        if (!UNIT_SYSTEMS[system]) throw new Error(`Unknown unit system: ${system}`);
+        currentSystem = system;
+        try {
+            if (typeof localStorage !== 'undefined') localStorage.setItem(STORAGE_KEY, system);
+        } catch (error) {
+            // Not persisted; the choice still applies to this page
+        }
+        listeners.forEach(listener => listener(system));
+    }
+
+    function onUnitSystemChange(listener) {
+        listeners.push(listener);
+    }
+
+    const SUPERSCRIPTS = { '-': '⁻', '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹' };
+
+    // Plain digits for everyday magnitudes, scientific notation otherwise
+    function formatNumber(value, digits = 2) {
+        const magnitude = Math.abs(value);
+        if (magnitude !== 0 && (magnitude >= 1e6 || magnitude < 1e-3)) {
+            const [mantissa, exponent] = value.toExponential(digits).split('e');
+            const power = String(parseInt(exponent, 10)).split('').map(c => SUPERSCRIPTS[c]).join('');
+            return `${mantissa} × 10${power}`;
+        }
+        return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    function withUnit(value, unit, digits) {
+        return `${formatNumber(value, digits)} ${UNITS[unit].symbol}`;
+    }
+
+    /**
+     * @param {number} radiusKm - Planet radius in km
+     * @param {string} [system] - Unit system (defaults to the current one)
+     * @returns {string}
+     */
+    function formatRadius(radiusKm, system = currentSystem) {
+        if (typeof radiusKm !== 'number') return 'Unknown';
+        if (system === 'si') return withUnit(radiusKm, 'km', 0);
+        if (system === 'astronomical') return withUnit(convert(radiusKm, 'km', 'jupiterRadius'), 'jupiterRadius', 3);
+        // Giants read better in Jupiter radii
+        const earthRadii = convert(radiusKm, 'km', 'earthRadius');
+        return earthRadii >= 6
+            ? withUnit(convert(radiusKm, 'km', 'jupiterRadius'), 'jupiterRadius', 2)
+            : withUnit(earthRadii, 'earthRadius', 2);
+    }
+
+    /**
+     * @param {Object|number|string} mass - Mass quantity (see asMass)
+     * @param {string} [system]
+     * @returns {string} e.g. "5.85 M⊕ (3.31–10.34)"
+     */
+    function formatMass(mass, system = currentSystem) {
+        const normalized = asMass(mass);
+        if (!normalized) return 'Unknown';
+
+        let unit;
+        if (system === 'si') {
+            unit = 'kg';
+        } else if (system === 'astronomical') {
+            unit = 'jupiterMass';
+        } else {
+            unit = convert(normalized.value, normalized.unit, 'jupiterMass') >= 0.1 ? 'jupiterMass' : 'earthMass';
+        }
+
+        const digits = system === 'astronomical' ? 3 : 2;
+        const toDisplay = value => convert(value, normalized.unit, unit);
+        const text = withUnit(toDisplay(normalized.value), unit, digits);
+        if (typeof normalized.lower !== 'number' || typeof normalized.upper !== 'number') return text;
+        return `${text} (${formatNumber(toDisplay(normalized.lower), digits)}–${formatNumber(toDisplay(normalized.upper), digits)})`;
+    }
+
+    /**
+     * @param {Object|string|null} distance - Distance quantity (see asDistance)
+     * @param {string} [system]
+     * @returns {string}
+     */
+    function formatDistance(distance, system = currentSystem) {
+        const normalized = asDistance(distance);
+        if (!normalized) return 'Distance unknown';
+        const unit = system === 'si' ? 'km' : system === 'astronomical' ? 'pc' : 'ly';
+        return withUnit(convert(normalized.value, normalized.unit, unit), unit, unit === 'km' ? 2 : 1);
+    }
+
+    /**
+     * @param {number} temperature - Temperature in K
+     * @param {string} [system]
+     * @returns {string}
+     */
+    function formatTemperature(temperature, system = currentSystem) {
+        if (typeof temperature !== 'number' || !Number.isFinite(temperature)) return 'N/A';
+        const kelvin = `${Math.round(temperature).toLocaleString('en-US')} K`;
+        if (system === 'relative') {
+            const difference = Math.round(temperature - 288);
+            return `${kelvin} (${difference >= 0 ? '+' : ''}${difference} K vs Earth)`;
+        }
+        return kelvin;
+    }
+
+    /**
+     * @param {number} periodDays - Orbital period in days
+     * @param {string} [system]
+     * @returns {string}
+     */
+    function formatPeriod(periodDays, system = currentSystem) {
+        if (typeof periodDays !== 'number') return 'N/A';
+        if (system === 'si') return withUnit(convert(periodDays, 'd', 's'), 's', 0);
+        if (system === 'relative' && periodDays >= 365.25) {
+            return withUnit(convert(periodDays, 'd', 'yr'), 'yr', 2);
+        }
+        return withUnit(periodDays, 'd', 3);
+    }
+
+    /**
+     * @param {number} semiMajorAxis - Semi-major axis in AU
+     * @param {string} [system]
+     * @returns {string}
+     */
+    function formatSemiMajorAxis(semiMajorAxis, system = currentSystem) {
+        if (typeof semiMajorAxis !== 'number') return 'N/A';
+        if (system === 'si') return withUnit(convert(semiMajorAxis, 'AU', 'km'), 'km', 2);
+        return withUnit(semiMajorAxis, 'AU', 3);
+    }
+
+    /**
+     * @param {number} insolation - Stellar flux at the planet relative to Earth's
+     * @param {string} [system]
+     * @returns {string}
+     */
+    function formatInsolation(insolation, system = currentSystem) {
+        if (typeof insolation !== 'number' || !Number.isFinite(insolation)) return 'N/A';
+        if (system === 'si') return withUnit(convert(insolation, 'earthFlux', 'wattsPerSquareMeter'), 'wattsPerSquareMeter', 0);
+        return withUnit(insolation, 'earthFlux', insolation < 10 ? 2 : 1);
+    }
+
+    /**
+     * Fill a <select> with the unit systems and keep it in sync with the current one
+     * @param {HTMLSelectElement} select
+     */
+    function bindUnitSystemSelect(select) {
+        if (!select) return;
+        select.innerHTML = '';
+        Object.entries(UNIT_SYSTEMS).forEach(([key, system]) => {
+            const option = select.ownerDocument.createElement('option');
+            option.value = key;
+            option.textContent = system.label;
+            select.appendChild(option);
+        });
+        select.value = currentSystem;
+        select.addEventListener('change', () => setUnitSystem(select.value));
+        onUnitSystemChange(system => {
+            select.value = system;
+        });
+    }
+
+    return {
+        UNITS,
+        UNIT_SYSTEMS,
+        convert,
+        quantity,
+        distanceFromText,
+        distanceToText,
+        asDistance,
+        asMass,
+        getUnitSystem,
+        setUnitSystem,
+        onUnitSystemChange,
+        formatNumber,
+        formatRadius,
+        formatMass,
+        formatDistance,
+        formatTemperature,
+        formatPeriod,
+        formatSemiMajorAxis,
+        formatInsolation,
+        bindUnitSystemSelect
+    };
+});
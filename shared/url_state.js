@@ -0,0 +1,160 @@
+// View state in the URL hash ("#system=Kepler-22&cam=0,30,80&hz=0"): the
+// viewers write what is shown there so a view can be shared as a link, and
+// push a history entry per selection so back/forward steps between them.
+// Loadable from Node (require) and the browser (window.UrlState).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.UrlState = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Decimals kept for numbers; camera coordinates don't need more
+    const NUMBER_DECIMALS = 3;
+
+    function formatNumber(value) {
+        return String(Number(value.toFixed(NUMBER_DECIMALS)));
+    }
+
+    function formatValue(value) {
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        if (typeof value === 'number') return formatNumber(value);
+        if (Array.isArray(value)) return value.map(formatNumber).join(',');
+        return String(value);
+    }
+
+    function sameValue(a, b) {
+        return a === b || (a !== undefined && b !== undefined && formatValue(a) === formatValue(b));
+    }
+
+    /**
+     * Serialize a view state as a hash, leaving out values equal to their default
+     * @param {Object} state - Values: strings, finite numbers, booleans or arrays
+     *   of numbers (vectors); null and undefined are left out
+     * @param {Object} [defaults] - Values not worth writing
+     * @returns {string} "key=value&..." without the leading "#"
+     */
+    function encodeState(state, defaults = {}) {
+        const params = new URLSearchParams();
+        Object.entries(state).forEach(([key, value]) => {
+            if (value === null || value === undefined) return;
+            if (typeof value === 'number' && !Number.isFinite(value)) return;
+            if (sameValue(value, defaults[key])) return;
+            params.set(key, formatValue(value));
+        });
+        // Commas are fine in a fragment; keep vectors readable
+        return params.toString().replace(/%2C/g, ',');
+    }
+
+    /**
+     * Read a view state from a hash, keeping only the keys of the schema whose
+     * values parse as their type
+     * @param {string} hash - With or without the leading "#"
+     * @param {Object} schema - Key → 'string', 'number', 'boolean' or 'vector'
+     * @returns {Object} The values found
+     */
+    function decodeState(hash, schema) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const state = {};
+        Object.entries(schema).forEach(([key, type]) => {
+            const raw = params.get(key);
+            if (raw === null) return;
+            if (type === 'number') {
+                const value = parseFloat(raw);
+                if (Number.isFinite(value)) state[key] = value;
+            } else if (type === 'boolean') {
+                if (raw === '1' || raw === 'true') state[key] = true;
+                if (raw === '0' || raw === 'false') state[key] = false;
+            } else if (type === 'vector') {
+                const values = raw.split(',').map(parseFloat);
+                if (values.length > 0 && values.every(Number.isFinite)) state[key] = values;
+            } else {
+                state[key] = raw;
+            }
+        });
+        return state;
+    }
+
+    /**
+     * Keeps the URL hash in step with a viewer. push() adds a history entry
+     * (a new selection), replace() rewrites the current one (camera moves,
+     * filters, toggles); back/forward re-applies the entry's state. Nothing
+     * is written before start(), nor while a state is being applied.
+     */
+    class HashHistory {
+        /**
+         * @param {Object} options
+         * @param {Object} options.schema - See decodeState
+         * @param {Object} [options.defaults] - Values restored for keys missing from the hash
+         * @param {Function} options.read - () → current view state
+         * @param {Function} options.apply - (state) → show that state; gets the
+         *   defaults merged with the hash's values
+         * @param {Object} [options.window] - Window whose location and history are used
+         */
+        constructor(options) {
+            this.schema = options.schema;
+            this.defaults = options.defaults || {};
+            this.read = options.read;
+            this.apply = options.apply;
+            this.window = options.window || (typeof window !== 'undefined' ? window : null);
+            this.started = false;
+            this.restoring = false;
+        }
+
+        /**
+         * Apply the state already in the URL, if any, and start tracking
+         */
+        start() {
+            if (this.window.location.hash.length > 1) {
+                this.restore();
+            }
+            this.window.addEventListener('popstate', () => this.restore());
+            this.started = true;
+        }
+
+        // "#..." for the current view state, or "" when everything is default
+        currentHash() {
+            const encoded = encodeState(this.read(), this.defaults);
+            return encoded ? `#${encoded}` : '';
+        }
+
+        write(method) {
+            if (!this.started || this.restoring) return;
+            const hash = this.currentHash();
+            if (hash === this.window.location.hash) return;
+            const location = this.window.location;
+            this.window.history[method](null, '', hash || `${location.pathname}${location.search}`);
+        }
+
+        push() {
+            this.write('pushState');
+        }
+
+        replace() {
+            this.write('replaceState');
+        }
+
+        /**
+         * Apply the state in the URL
+         * @returns {Object} The state applied
+         */
+        restore() {
+            const state = Object.assign({}, this.defaults, decodeState(this.window.location.hash, this.schema));
+            this.restoring = true;
+            try {
+                this.apply(state);
+            } finally {
+                this.restoring = false;
+            }
+            return state;
+        }
+    }
+
+    return {
+        encodeState,
+        decodeState,
+        HashHistory
+    };
+});
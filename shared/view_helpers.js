@@ -0,0 +1,104 @@
+// Page helpers shared by the viewers: optional dataset loading, file
+// downloads and metric values with "estimated" and "imputed" badges. They
+// only touch the DOM and the network when called.
+// Loadable from Node (require) and the browser (window.ViewHelpers).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ViewHelpers = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ESTIMATED_TITLE = 'Based on an assumed temperature, an estimated mass or an imputed radius';
+    const IMPUTED_TITLE = 'Missing from the source catalog; placeholder value';
+
+    /**
+     * Fetch a supplementary dataset (e.g. tessData.json), returning an empty
+     * list if it is missing or unreadable
+     * @param {string} url
+     * @returns {Promise<Array>} Planet records
+     */
+    async function loadOptionalDataset(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.warn(`Optional dataset ${url} not available (${response.status})`);
+                return [];
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn(`Could not load optional dataset ${url}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Trigger a browser download for generated text content (e.g. .ssc exports)
+     * @param {string} text - File contents
+     * @param {string} fileName - Suggested file name
+     */
+    function downloadTextFile(text, fileName) {
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Append a small badge after an element's text
+     * @param {HTMLElement} element
+     * @param {string} label - Badge text
+     * @param {string} title - Tooltip explaining the badge
+     */
+    function appendBadge(element, label, title) {
+        const badge = element.ownerDocument.createElement('span');
+        badge.className = 'estimated-badge';
+        badge.textContent = label;
+        badge.title = title;
+        element.appendChild(badge);
+    }
+
+    /**
+     * Show a metric, flagged with an "estimated" badge when it rests on
+     * imputed inputs (see Habitability.planetMetrics)
+     * @param {HTMLElement} element
+     * @param {string} text - Formatted value
+     * @param {boolean} estimated
+     */
+    function setMetricValue(element, text, estimated) {
+        element.textContent = text;
+        if (estimated) {
+            appendBadge(element, 'estimated', ESTIMATED_TITLE);
+        }
+    }
+
+    /**
+     * Flag the fields that kept a parser placeholder (planet.imputed)
+     * @param {Object} planet - Planet record
+     * @param {Object} elementIds - Field path → ID of the element showing it
+     * @param {Document} [doc] - Document holding the elements
+     */
+    function flagImputedFields(planet, elementIds, doc = document) {
+        (planet.imputed || []).forEach(field => {
+            const element = elementIds[field] && doc.getElementById(elementIds[field]);
+            if (element) appendBadge(element, 'imputed', IMPUTED_TITLE);
+        });
+    }
+
+    return {
+        loadOptionalDataset,
+        downloadTextFile,
+        appendBadge,
+        setMetricValue,
+        flagImputedFields
+    };
+});
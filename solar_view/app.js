@@ -1,10 +1,13 @@
 // Global variables
 let scene, camera, renderer, controls;
+let labelRenderer; // CSS2DRenderer drawing the floating name labels over the scene
 let exoplanets = [];
 let exoplanetData = [];
 let raycaster, mouse;
 let habitableZoneVisible = true;
 let habitableZoneObjects = [];
+let orbitPaths = [];
+let infoPanelPlanet = null; // Planet shown in the info panel, re-rendered when units change
 let currentSystem = 'overview';
 let starSystems = {};
 let currentStar = null;
@@ -12,6 +15,89 @@ let cameraAnimating = false;
 let animationId = null;
 let followingPlanet = null;
 let cameraOffset = null;
+let orbitLayout = 'log'; // 'log' or 'linear' AU scale, or the evenly spaced 'schematic' layout
+let galaxyLayout = 'log'; // Galaxy overview distances: compressed 'log' or 'true' (see SkyPosition)
+let overviewObjects = []; // Sun, system points and meshes, and Kepler field footprint of the galaxy overview
+let overviewSystems = []; // Systems placed in the galaxy overview: { index, systemName, position, color }
+let overviewIndex = null; // Octree over overviewSystems, for picking and level of detail
+let systemPoints = null; // Points cloud drawing overviewSystems
+let overviewCounts = { unknownDistance: 0, unplaced: 0 }; // Systems on the unknown-distance shell, and left out
+let detailedSystemMeshes = []; // Pooled full meshes for the systems nearest the camera
+let detailedSystemGeometry = null;
+let systemIndex = null; // Octree over all systems with sky coordinates, in parsecs
+let planetIndex = null; // Octree over the shown planets, rebuilt after they move
+let hoverEvent = null; // Last mouse move, handled once per frame
+let labels = []; // CSS2DObjects naming the overview's systems or the shown planets
+let labelMode = 'all'; // Which objects get labels: 'all', 'filtered', 'habitable' or 'none'
+
+// Physical orbit layouts
+const LOG_ORBIT_INNER_AU = 0.01;     // Drawn at ORBIT_INNER_RADIUS in the log layout
+const ORBIT_INNER_RADIUS = 12;       // Scene units, just outside the largest star
+const LOG_ORBIT_UNITS_PER_DECADE = 25;
+const LINEAR_ORBIT_OUTER_RADIUS = 100; // Outermost planet in the linear layout
+
+// Simulation clock driving all orbital and spin motion
+const simClock = new SimClock.SimulationClock();
+const STAR_SPIN_PERIOD_DAYS = 25; // Sun-like rotation for the overview's system markers
+
+// Galaxy overview rendering: systems are one Points cloud, and those within
+// SYSTEM_DETAIL_DISTANCE of the camera are swapped for full meshes
+const SYSTEM_MARKER_RADIUS = 2;
+const SYSTEM_DETAIL_DISTANCE = 60;
+const MAX_DETAILED_SYSTEMS = 48;
+const SYSTEM_PICK_PIXELS = 5; // Click and hover tolerance around a system or planet
+const NEAREST_SYSTEM_COUNT = 5; // Neighbours listed in the system info panel
+const UNKNOWN_DISTANCE_SHELL = 1.1; // Radius of the unknown-distance shell, relative to the overview's
+
+// Floating labels: opaque up to near, gone at far (camera distance in scene
+// units), and at most MAX_LABELS at once, nearest first, without overlapping
+const LABEL_FADE = {
+    overview: { near: 80, far: 320 },
+    system: { near: 150, far: 500 }
+};
+const MAX_LABELS = 60;
+const LABEL_HEIGHT = 16; // Pixels, for labels not yet measured
+const LABEL_CHAR_WIDTH = 7;
+
+// View state kept in the URL hash (see UrlState): system, selected planet,
+// camera, filters, simulated time and toggles. Selections push history entries.
+const VIEW_STATE_SCHEMA = {
+    system: 'string',
+    planet: 'string',
+    cam: 'vector',
+    target: 'vector',
+    type: 'string',
+    mission: 'string',
+    status: 'string',
+    labels: 'string',
+    galaxy: 'string',
+    orbits: 'string',
+    t: 'number',
+    rate: 'number',
+    paused: 'boolean',
+    hz: 'boolean'
+};
+const VIEW_STATE_DEFAULTS = {
+    system: 'overview',
+    type: 'all',
+    mission: 'all',
+    status: 'all',
+    labels: 'all',
+    galaxy: 'log',
+    orbits: 'log',
+    rate: 86400,
+    paused: false,
+    hz: true
+};
+const viewHistory = new UrlState.HashHistory({
+    schema: VIEW_STATE_SCHEMA,
+    defaults: VIEW_STATE_DEFAULTS,
+    read: readViewState,
+    apply: applyViewState
+});
+
+// RA/Dec of the Kepler hosts, keyed by KOI name and KIC ID
+const SKY_COORDINATES_URL = '../cesium%20viewer/results.csv';
 
 // Initialize the application
 async function init() {
@@ -22,9 +108,13 @@ async function init() {
     // Load exoplanet data
     await loadExoplanetData();
 
+    updateLoadingText("Locating host stars...");
+    await loadSkyCoordinates();
+
     updateLoadingText("Organizing star systems...");
     // Group data by star system
     groupPlanetsBySystem();
+    buildSystemIndex();
 
     updateLoadingText("Setting up 3D environment...");
     // Set up Three.js scene
@@ -39,8 +129,9 @@ async function init() {
     populateSystemSelector();
     
     updateLoadingText("Generating galaxy view...");
-    // Show initial view
+    // Show initial view, or the one in the URL
     showSystem('overview');
+    viewHistory.start();
     
     hideLoadingScreen();
     
@@ -74,26 +165,17 @@ async function loadExoplanetData() {
         updateLoadingText("Fetching KOI candidate data...");
         const response = await fetch('../koiData.json');
         const koiData = await response.json();
+
+        // Merge TESS candidates when the dataset is available
+        updateLoadingText("Fetching TESS candidate data...");
+        const tessData = await ViewHelpers.loadOptionalDataset('../tessData.json');
+        const catalogData = koiData.concat(tessData);
         
-        updateLoadingText(`Processing ${koiData.length} KOI candidates...`);
+        updateLoadingText(`Processing ${koiData.length} KOI and ${tessData.length} TOI candidates...`);
         // Convert KOI format to existing format for compatibility
-        exoplanetData = koiData.map(planet => ({
-            name: planet.name,
-            mass: planet.mass,
-            distance: planet.distance || `${(planet.ellipticalOrbit.semiMajorAxis * 149.6).toFixed(2)} million km`,
-            type: planet.type,
-            system: planet.system,
-            discoveryYear: planet.discoveryYear,
-            inHabitableZone: planet.inHabitableZone,
-            mission: planet.mission,
-            status: planet.status,
-            confidence: planet.confidence,
-            transitDepth: planet.transitDepth || (planet.ellipticalOrbit.semiMajorAxis * 0.001),
-            orbitalPeriod: planet.ellipticalOrbit.period,
-            transitDuration: planet.transitDuration || (planet.ellipticalOrbit.period * 0.1)
-        }));
-        console.log(`✅ Loaded ${exoplanetData.length} KOI systems`);
-        updateLoadingText(`Successfully loaded ${exoplanetData.length} KOI candidates!`);
+        exoplanetData = catalogData.map(toSystemPlanet);
+        console.log(`✅ Loaded ${koiData.length} KOI and ${tessData.length} TOI candidates`);
+        updateLoadingText(`Successfully loaded ${exoplanetData.length} candidates!`);
     } catch (error) {
         console.error('Error loading KOI data, trying Kepler data:', error);
         try {
@@ -101,21 +183,7 @@ async function loadExoplanetData() {
             const keplerData = await response.json();
             
             // Convert Kepler format to existing format for compatibility
-            exoplanetData = keplerData.map(planet => ({
-            name: planet.name,
-            mass: planet.mass,
-            distance: planet.distance || `${(planet.ellipticalOrbit.semiMajorAxis * 149.6).toFixed(2)} million km`,
-            type: planet.type,
-            system: planet.system,
-            discoveryYear: planet.discoveryYear,
-            inHabitableZone: planet.inHabitableZone,
-            mission: planet.mission,
-            status: planet.status,
-            confidence: planet.confidence,
-            transitDepth: planet.transitDepth || (planet.ellipticalOrbit.semiMajorAxis * 0.001),
-            orbitalPeriod: planet.ellipticalOrbit.period,
-            transitDuration: planet.transitDuration || (planet.ellipticalOrbit.period * 0.1)
-            }));
+            exoplanetData = keplerData.map(toSystemPlanet);
             console.log('Loaded Kepler data:', exoplanetData);
         } catch (keplerError) {
             console.error('Error loading Kepler data, falling back to original:', keplerError);
@@ -130,20 +198,123 @@ async function loadExoplanetData() {
     }
 }
 
-// Group planets by star system
+// Fill in RA/Dec for planets whose record has none, from the Kepler
+// coordinate table. Without it (or for TESS hosts) they stay unplaced.
+async function loadSkyCoordinates() {
+    let coordinates = new Map();
+    try {
+        const response = await fetch(SKY_COORDINATES_URL);
+        if (response.ok) {
+            coordinates = SkyPosition.parseCoordinateCSV(await response.text());
+        } else {
+            console.warn(`Sky coordinates not available (${response.status})`);
+        }
+    } catch (error) {
+        console.warn('Could not load sky coordinates:', error);
+    }
+    
+    exoplanetData.forEach(planet => {
+        if (typeof planet.ra === 'number' && typeof planet.dec === 'number') return;
+        const position = coordinates.get(planet.id) || coordinates.get(planet.hostId);
+        if (position) {
+            planet.ra = position.ra;
+            planet.dec = position.dec;
+        }
+    });
+}
+
+// Convert a catalog record (koiData.json schema) to the format used by the system views.
+// The catalog fields are kept so the planet can be exported back to .ssc.
+function toSystemPlanet(planet) {
+    const stellar = planet.stellar || StellarModel.estimateStellarProperties({}, planet.ellipticalOrbit);
+    
+    return {
+        id: planet.id,
+        star: planet.star,
+        name: planet.name,
+        mass: MassRadius.planetMass(planet),
+        distance: Units.asDistance(planet.distance), // Older records store text
+        type: planet.type,
+        system: hostSystemName(planet),
+        hostId: planet.hostId || hostSystemName(planet),
+        discoveryYear: planet.discoveryYear,
+        ra: planet.ra,
+        dec: planet.dec,
+        mission: planet.mission,
+        status: planet.status,
+        confidence: planet.confidence,
+        radius: planet.radius,
+        texture: planet.texture,
+        temperature: planet.temperature,
+        temperatureSource: planet.temperatureSource,
+        imputed: planet.imputed,
+        insolation: planet.insolation,
+        esi: planet.esi,
+        habitabilityIndex: planet.habitabilityIndex,
+        ellipticalOrbit: planet.ellipticalOrbit,
+        stellar: stellar,
+        transitDepth: planet.transitDepth || (planet.ellipticalOrbit.semiMajorAxis * 0.001),
+        orbitalPeriod: planet.ellipticalOrbit.period,
+        transitDuration: planet.transitDuration || (planet.ellipticalOrbit.period * 0.1)
+    };
+}
+
+// Name of the system a catalog planet belongs to. Records converted before
+// host grouping carry a per-planet system ("K00115.01"), so derive the host
+// from the candidate name instead: "KOI-00115.01" -> "KOI-00115".
+function hostSystemName(planet) {
+    if (planet.hostId) return planet.system;
+    return (planet.name || planet.id).replace(/\.\d+$/, '');
+}
+
+// Group planets by host star. Systems are keyed by the name of the first
+// planet's system; planets sharing its hostId (KIC/TIC ID) join it.
 function groupPlanetsBySystem() {
     starSystems = {};
+    const systemNamesByHost = {};
     
     exoplanetData.forEach(planet => {
-        const systemName = planet.system;
+        const hostId = planet.hostId || planet.system;
+        if (!systemNamesByHost[hostId]) {
+            systemNamesByHost[hostId] = planet.system;
+        }
+        const systemName = systemNamesByHost[hostId];
+        planet.system = systemName;
         if (!starSystems[systemName]) {
             starSystems[systemName] = {
                 name: systemName,
                 planets: [],
-                distance: planet.distance
+                distance: planet.distance,
+                stellar: planet.stellar
             };
         }
-        starSystems[systemName].planets.push(planet);
+        const system = starSystems[systemName];
+        if (system.ra === undefined && typeof planet.ra === 'number' && typeof planet.dec === 'number') {
+            system.ra = planet.ra;
+            system.dec = planet.dec;
+        }
+        system.planets.push(planet);
+    });
+    
+    // Order each system's candidates from the star outwards
+    Object.values(starSystems).forEach(system => {
+        system.planets.sort((a, b) => a.ellipticalOrbit.semiMajorAxis - b.ellipticalOrbit.semiMajorAxis);
+    });
+    
+    // Each catalog record models its own host star from its orbit, so the
+    // estimates differ slightly within a system. Use the system's record for
+    // every planet, so the habitable zone ring and the planets' habitable zone
+    // flags agree; planets are classified by orbit, as the ring is drawn.
+    Object.values(starSystems).forEach(system => {
+        system.stellar = system.stellar || StellarModel.estimateStellarProperties();
+        system.planets.forEach(planet => {
+            planet.stellar = system.stellar;
+            planet.habitableZone = HabitableZone.classifyOrbit(
+                system.stellar,
+                Habitability.measuredOrbit(planet).semiMajorAxis
+            );
+            planet.inHabitableZone = planet.habitableZone !== null;
+        });
     });
     
     console.log('Star systems:', starSystems);
@@ -156,8 +327,13 @@ function populateSystemSelector() {
     // Clear existing options except overview
     selector.innerHTML = '<option value="overview">🌌 Galaxy Overview</option>';
     
-    // Add each star system
-    Object.keys(starSystems).forEach(systemName => {
+    // Add each star system, nearest first (unknown distances last)
+    const distanceOf = name => {
+        const distance = starSystems[name].distance;
+        return distance ? Units.convert(distance.value, distance.unit, 'pc') : Infinity;
+    };
+    const systemNames = Object.keys(starSystems).sort((a, b) => distanceOf(a) - distanceOf(b));
+    systemNames.forEach(systemName => {
         const option = document.createElement('option');
         option.value = systemName;
         option.textContent = `⭐ ${systemName} (${starSystems[systemName].planets.length} planets)`;
@@ -167,6 +343,7 @@ function populateSystemSelector() {
     // Add event listener
     selector.addEventListener('change', (e) => {
         showSystem(e.target.value);
+        viewHistory.push();
     });
 }
 
@@ -276,7 +453,7 @@ function createImprovedStarfield() {
 
 // Set up camera
 function setupCamera() {
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 3000);
     camera.position.set(0, 50, 100);
 }
 
@@ -287,6 +464,12 @@ function setupRenderer() {
     renderer.setClearColor(0x000011);
     document.getElementById('scene-container').appendChild(renderer.domElement);
     
+    // Labels are HTML elements positioned over the canvas; they let clicks through
+    labelRenderer = new THREE.CSS2DRenderer();
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.domElement.className = 'label-layer';
+    document.getElementById('scene-container').appendChild(labelRenderer.domElement);
+    
     // Handle window resize
     window.addEventListener('resize', onWindowResize, false);
 }
@@ -304,34 +487,47 @@ function setupLighting() {
 }
 
 // Create habitable zone visualization
-function createHabitableZone() {
-    // Inner boundary of habitable zone
-    const innerRadius = 45;
-    const outerRadius = 85;
+function createHabitableZone(system) {
+    const stellar = (system && system.stellar) || StellarModel.estimateStellarProperties();
+    const systemPlanets = system ? system.planets : [];
+    const zones = HabitableZone.habitableZone(stellar);
+    
+    // Optimistic zone (recent Venus to early Mars) faintly, conservative zone on top
+    addHabitableZoneBand(zones.optimistic, systemPlanets, 0.07, 0.3);
+    addHabitableZoneBand(zones.conservative, systemPlanets, 0.15, 0.6);
+}
+
+// Draw one habitable zone as a flat band with boundary rings
+function addHabitableZoneBand(zone, systemPlanets, fillOpacity, boundaryOpacity) {
+    const innerRadius = auToSceneDistance(zone.inner, systemPlanets);
+    const outerRadius = auToSceneDistance(zone.outer, systemPlanets);
     
     // Create ring geometry for habitable zone
-    const habitableZoneGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 64);
+    const habitableZoneGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 128);
     const habitableZoneMaterial = new THREE.MeshBasicMaterial({ 
         color: 0x00ff88,
         side: THREE.DoubleSide,
         transparent: true,
-        opacity: 0.15
+        opacity: fillOpacity,
+        depthWrite: false
     });
     
     const habitableZone = new THREE.Mesh(habitableZoneGeometry, habitableZoneMaterial);
     habitableZone.rotation.x = Math.PI / 2;
+    habitableZone.visible = habitableZoneVisible;
     scene.add(habitableZone);
     habitableZoneObjects.push(habitableZone);
     
     // Add inner and outer boundary rings
-    const innerBoundary = new THREE.RingGeometry(innerRadius - 1, innerRadius + 1, 64);
-    const outerBoundary = new THREE.RingGeometry(outerRadius - 1, outerRadius + 1, 64);
+    const boundaryWidth = Math.min(0.5, (outerRadius - innerRadius) / 4);
+    const innerBoundary = new THREE.RingGeometry(innerRadius - boundaryWidth, innerRadius + boundaryWidth, 128);
+    const outerBoundary = new THREE.RingGeometry(outerRadius - boundaryWidth, outerRadius + boundaryWidth, 128);
     
     const boundaryMaterial = new THREE.MeshBasicMaterial({ 
         color: 0x00ff88,
         side: THREE.DoubleSide,
         transparent: true,
-        opacity: 0.6
+        opacity: boundaryOpacity
     });
     
     const innerRing = new THREE.Mesh(innerBoundary, boundaryMaterial);
@@ -339,6 +535,8 @@ function createHabitableZone() {
     
     innerRing.rotation.x = Math.PI / 2;
     outerRing.rotation.x = Math.PI / 2;
+    innerRing.visible = habitableZoneVisible;
+    outerRing.visible = habitableZoneVisible;
     
     scene.add(innerRing);
     scene.add(outerRing);
@@ -397,6 +595,9 @@ function setupControls() {
     controls.screenSpacePanning = false;
     controls.minDistance = 10;
     controls.maxDistance = 500;
+    
+    // Keep the camera in the URL once the user stops moving it
+    controls.addEventListener('end', () => viewHistory.replace());
 }
 
 // Set up mouse interaction
@@ -406,9 +607,19 @@ function setupInteraction() {
     
     renderer.domElement.addEventListener('click', onMouseClick, false);
     
+    // Hover tooltips, picked once per frame in animate()
+    renderer.domElement.addEventListener('mousemove', (event) => {
+        hoverEvent = event;
+    });
+    renderer.domElement.addEventListener('mouseleave', () => {
+        hoverEvent = null;
+        document.getElementById('hover-tooltip').classList.add('hidden');
+    });
+    
     // Close info panel button
     document.getElementById('close-info').addEventListener('click', () => {
         document.getElementById('info-panel').classList.add('hidden');
+        viewHistory.replace();
     });
     
     // Add planet button
@@ -436,9 +647,53 @@ function setupInteraction() {
     document.getElementById('mission-filter').addEventListener('change', filterPlanets);
     document.getElementById('status-filter').addEventListener('change', filterPlanets);
     
+    // Which objects are labelled
+    document.getElementById('label-mode-select').addEventListener('change', (e) => {
+        labelMode = e.target.value;
+        viewHistory.replace();
+    });
+    
     // Reset view button
     document.getElementById('reset-view-btn').addEventListener('click', resetSystemView);
     
+    // Export current system as .ssc
+    document.getElementById('download-ssc-btn').addEventListener('click', downloadCurrentSystemSSC);
+    
+    // Simulation clock controls (play/pause, rate, reverse, date)
+    SimClock.bindClockControls(simClock, document);
+    simClock.onChange(() => viewHistory.replace());
+    
+    // Unit system toggle: re-render the panels that show quantities
+    Units.bindUnitSystemSelect(document.getElementById('unit-system-select'));
+    Units.onUnitSystemChange(() => {
+        if (infoPanelPlanet && !document.getElementById('info-panel').classList.contains('hidden')) {
+            showPlanetInfo(infoPanelPlanet);
+        }
+        if (currentSystem !== 'overview' && starSystems[currentSystem]) {
+            document.getElementById('current-system-distance').textContent =
+                Units.formatDistance(starSystems[currentSystem].distance);
+            showNearestSystems(starSystems[currentSystem]);
+        }
+    });
+    
+    // Galaxy overview distances (compressed log or true)
+    document.getElementById('galaxy-layout-select').addEventListener('change', (e) => {
+        galaxyLayout = e.target.value;
+        if (currentSystem === 'overview') {
+            showSystem('overview');
+        }
+        viewHistory.replace();
+    });
+    
+    // Orbit layout selector (log AU, linear AU or schematic)
+    document.getElementById('orbit-layout-select').addEventListener('change', (e) => {
+        orbitLayout = e.target.value;
+        if (currentSystem !== 'overview') {
+            showSystem(currentSystem);
+        }
+        viewHistory.replace();
+    });
+    
     // Education mode button
     document.getElementById('education-mode-btn').addEventListener('click', showEducationMode);
     document.getElementById('close-education').addEventListener('click', () => {
@@ -539,6 +794,33 @@ function clearScene() {
     });
     habitableZoneObjects = [];
     
+    // Remove orbit paths
+    orbitPaths.forEach(orbit => {
+        scene.remove(orbit);
+        orbit.geometry.dispose();
+    });
+    orbitPaths = [];
+    
+    // Remove the overview's Sun and field footprint
+    overviewObjects.forEach(obj => {
+        scene.remove(obj);
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+    });
+    overviewObjects = [];
+    overviewSystems = [];
+    overviewIndex = null;
+    planetIndex = null;
+    
+    // Remove labels; planet labels are children of the planet meshes
+    labels.forEach(label => {
+        if (label.parent) label.parent.remove(label);
+    });
+    labels = [];
+    systemPoints = null;
+    detailedSystemMeshes = [];
+    detailedSystemGeometry = null;
+    
     // Remove current star
     if (currentStar) {
         scene.remove(currentStar);
@@ -546,40 +828,266 @@ function clearScene() {
     }
 }
 
-// Create galaxy overview showing all systems as distant points
+// Distance of a system in parsecs, or null when it can't be placed
+function systemParsecs(system) {
+    const distance = Units.asDistance(system.distance);
+    if (typeof system.ra !== 'number' || typeof system.dec !== 'number' || !distance) return null;
+    return Units.convert(distance.value, distance.unit, 'pc');
+}
+
+// Scene position of a system from its sky coordinates and distance, or null
+// when either is unknown
+function systemSkyPosition(system) {
+    const parsecs = systemParsecs(system);
+    if (parsecs === null) return null;
+    const position = SkyPosition.equatorialToCartesian(system.ra, system.dec, SkyPosition.sceneDistance(parsecs, galaxyLayout));
+    return new THREE.Vector3(position.x, position.y, position.z);
+}
+
+// Index every placeable system at its true position (in parsecs, whatever the
+// overview layout) for nearest-system queries
+function buildSystemIndex() {
+    const placed = [];
+    Object.values(starSystems).forEach(system => {
+        const parsecs = systemParsecs(system);
+        if (parsecs === null) return;
+        system.skyPosition = SkyPosition.equatorialToCartesian(system.ra, system.dec, parsecs);
+        placed.push(system);
+    });
+    systemIndex = new Octree.PointOctree(placed, { position: system => system.skyPosition });
+}
+
+/**
+ * The systems nearest another one in space
+ * @param {Object} system - Star system
+ * @param {number} count - How many to return at most
+ * @returns {Array<Object>|null} { item: system, distance } with distances in
+ *   parsecs, nearest first; null when the system has no sky coordinates
+ */
+function nearestSystems(system, count) {
+    if (!systemIndex || !system.skyPosition) return null;
+    return systemIndex.nearest(system.skyPosition, count, other => other !== system);
+}
+
+// Create galaxy overview: the Sun at the origin and every system with known
+// RA/Dec and distance placed around it. Systems with RA/Dec but no distance
+// sit on a shell just outside the others; those without RA/Dec are counted
+// for the navigation text. Systems are drawn as one Points cloud and indexed
+// in an octree for picking; the ones nearest the camera are swapped for full
+// meshes in updateSystemDetail().
 function createGalaxyOverview() {
-    Object.keys(starSystems).forEach((systemName, index) => {
-        const system = starSystems[systemName];
-        
-        // Create a distant star representing the system
-        const angle = (index / Object.keys(starSystems).length) * Math.PI * 2;
-        const distance = 100 + (index * 50);
-        const x = Math.cos(angle) * distance;
-        const z = Math.sin(angle) * distance;
-        const y = (Math.random() - 0.5) * 50;
-        
-        const starGeometry = new THREE.SphereGeometry(3, 16, 16);
-        const starMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffaa44,
-            emissive: 0xffaa44,
-            emissiveIntensity: 0.3
+    let farthest = 0;
+    const unknownDistance = [];
+    
+    function placeSystem(system, position) {
+        // Colored by the host star's temperature
+        const stellar = system.stellar || StellarModel.estimateStellarProperties();
+        overviewSystems.push({
+            index: overviewSystems.length,
+            systemName: system.name,
+            position: position,
+            color: new THREE.Color(StellarModel.blackbodyColor(stellar.effectiveTemperature))
         });
         
-        const systemStar = new THREE.Mesh(starGeometry, starMaterial);
-        systemStar.position.set(x, y, z);
-        systemStar.userData = { 
-            type: 'system',
-            systemName: systemName,
-            planetCount: system.planets.length,
-            distance: system.distance
-        };
-        
-        scene.add(systemStar);
-        exoplanets.push(systemStar); // Add to exoplanets for interaction
-        
         // Add system label
-        createSystemLabel(systemName, x, y + 10, z);
+        createSystemLabel(system, position);
+    }
+    
+    overviewSystems = [];
+    overviewCounts = { unknownDistance: 0, unplaced: 0 };
+    Object.values(starSystems).forEach(system => {
+        const position = systemSkyPosition(system);
+        if (position) {
+            farthest = Math.max(farthest, position.length());
+            placeSystem(system, position);
+        } else if (typeof system.ra === 'number' && typeof system.dec === 'number') {
+            unknownDistance.push(system);
+        } else {
+            overviewCounts.unplaced++;
+        }
+    });
+    
+    const radius = Math.max(farthest, SkyPosition.sceneDistance(1000, galaxyLayout));
+    unknownDistance.forEach(system => {
+        const position = SkyPosition.equatorialToCartesian(system.ra, system.dec, radius * UNKNOWN_DISTANCE_SHELL);
+        placeSystem(system, new THREE.Vector3(position.x, position.y, position.z));
+    });
+    overviewCounts.unknownDistance = unknownDistance.length;
+    
+    overviewIndex = new Octree.PointOctree(overviewSystems);
+    systemPoints = createSystemPoints(overviewSystems);
+    scene.add(systemPoints);
+    overviewObjects.push(systemPoints);
+    
+    // The Sun, for scale
+    const sun = new THREE.Mesh(
+        new THREE.SphereGeometry(3, 16, 16),
+        new THREE.MeshBasicMaterial({ color: StellarModel.blackbodyColor(5772) })
+    );
+    scene.add(sun);
+    overviewObjects.push(sun);
+    
+    createKeplerFieldFootprint(radius);
+}
+
+// Screen pixels covered by one scene unit at distance 1 from the camera
+function pixelsPerUnit() {
+    return window.innerHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+}
+
+// One Points cloud for all overview systems. Points have a size in scene
+// units (shrinking with distance like the meshes they stand in for) and a
+// minimum size in pixels so distant systems stay visible; a size of 0 hides
+// a point while its full mesh is shown.
+function createSystemPoints(systems) {
+    const positions = new Float32Array(systems.length * 3);
+    const colors = new Float32Array(systems.length * 3);
+    const sizes = new Float32Array(systems.length);
+    systems.forEach((system, i) => {
+        system.position.toArray(positions, i * 3);
+        system.color.toArray(colors, i * 3);
+        sizes[i] = SYSTEM_MARKER_RADIUS * 2;
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            pixelsPerUnit: { value: pixelsPerUnit() * renderer.getPixelRatio() },
+            minPixels: { value: 2.5 * renderer.getPixelRatio() }
+        },
+        vertexShader: `
+            attribute float size;
+            attribute vec3 color;
+            varying vec3 vColor;
+            uniform float pixelsPerUnit;
+            uniform float minPixels;
+            
+            void main() {
+                vColor = color;
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_PointSize = size > 0.0 ? max(size * pixelsPerUnit / -mvPosition.z, minPixels) : 0.0;
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            varying vec3 vColor;
+            
+            void main() {
+                // Round points with a soft edge
+                float d = length(gl_PointCoord - vec2(0.5));
+                if (d > 0.5) discard;
+                gl_FragColor = vec4(vColor, smoothstep(0.5, 0.35, d));
+            }
+        `,
+        transparent: true,
+        depthWrite: false
+    });
+    
+    return new THREE.Points(geometry, material);
+}
+
+// Level of detail: show the systems nearest the camera as full meshes and
+// hide their points. Meshes are pooled and recolored as systems come and go.
+function updateSystemDetail() {
+    if (!overviewIndex || !systemPoints) return;
+    
+    const near = overviewIndex.withinRadius(camera.position, SYSTEM_DETAIL_DISTANCE)
+        .slice(0, MAX_DETAILED_SYSTEMS)
+        .map(hit => hit.item);
+    const sizes = systemPoints.geometry.attributes.size;
+    let changed = false;
+    
+    // Give back the points of systems that moved out of range
+    detailedSystemMeshes.forEach(mesh => {
+        if (mesh.visible && !near.includes(mesh.userData.system)) {
+            sizes.setX(mesh.userData.system.index, SYSTEM_MARKER_RADIUS * 2);
+            mesh.visible = false;
+            mesh.userData.system = null;
+            changed = true;
+        }
+    });
+    
+    near.forEach(system => {
+        if (detailedSystemMeshes.some(mesh => mesh.userData.system === system)) return;
+        let mesh = detailedSystemMeshes.find(candidate => !candidate.visible);
+        if (!mesh) {
+            if (!detailedSystemGeometry) {
+                detailedSystemGeometry = new THREE.SphereGeometry(SYSTEM_MARKER_RADIUS, 24, 24);
+            }
+            mesh = new THREE.Mesh(detailedSystemGeometry, new THREE.MeshBasicMaterial());
+            scene.add(mesh);
+            overviewObjects.push(mesh);
+            detailedSystemMeshes.push(mesh);
+        }
+        mesh.position.copy(system.position);
+        mesh.material.color.copy(system.color);
+        mesh.userData = { type: 'system', system: system, systemName: system.systemName };
+        mesh.visible = true;
+        sizes.setX(system.index, 0);
+        changed = true;
+    });
+    
+    if (changed) sizes.needsUpdate = true;
+}
+
+// Octree over the visible planets at their current positions; animate()
+// discards it whenever the planets move
+function currentPlanetIndex() {
+    if (!planetIndex) {
+        planetIndex = new Octree.PointOctree(exoplanets.filter(planet => planet.visible), {
+            radius: planet => planet.geometry.parameters.radius * planet.scale.x
+        });
+    }
+    return planetIndex;
+}
+
+// The planet mesh under the mouse in a system view, or null
+function pickPlanet() {
+    const ray = raycaster.ray;
+    const hits = currentPlanetIndex().raycast(ray.origin, ray.direction, {
+        spread: SYSTEM_PICK_PIXELS / pixelsPerUnit()
+    });
+    return hits.length > 0 ? hits[0].item : null;
+}
+
+// The overview system under the mouse, or null
+function pickOverviewSystem() {
+    if (!overviewIndex) return null;
+    const ray = raycaster.ray;
+    const hits = overviewIndex.raycast(ray.origin, ray.direction, {
+        radius: SYSTEM_MARKER_RADIUS,
+        spread: SYSTEM_PICK_PIXELS / pixelsPerUnit()
+    });
+    return hits.length > 0 ? hits[0].item : null;
+}
+
+// Outline of the Kepler field at the depth of the farthest system, with
+// lines back to the Sun marking the cone the mission observed
+function createKeplerFieldFootprint(depth) {
+    const corners = SkyPosition.keplerFieldOutline().map(corner => {
+        const position = SkyPosition.equatorialToCartesian(corner.ra, corner.dec, depth);
+        return new THREE.Vector3(position.x, position.y, position.z);
     });
+    
+    const outline = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(corners),
+        new THREE.LineBasicMaterial({ color: 0x4a90d9, transparent: true, opacity: 0.5 })
+    );
+    scene.add(outline);
+    overviewObjects.push(outline);
+    
+    const rayPoints = [];
+    corners.forEach(corner => rayPoints.push(new THREE.Vector3(0, 0, 0), corner));
+    const rays = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(rayPoints),
+        new THREE.LineBasicMaterial({ color: 0x4a90d9, transparent: true, opacity: 0.12 })
+    );
+    scene.add(rays);
+    overviewObjects.push(rays);
 }
 
 // Create individual star system
@@ -588,10 +1096,10 @@ function createStarSystem(systemName) {
     if (!system) return;
     
     // Create central star
-    createCentralStar();
+    createCentralStar(system.stellar);
     
     // Create habitable zone
-    createHabitableZone();
+    createHabitableZone(system);
     
     // Create planets in this system
     system.planets.forEach((planet, index) => {
@@ -600,24 +1108,34 @@ function createStarSystem(systemName) {
 }
 
 // Create central star for individual system view
-function createCentralStar() {
-    const starGeometry = new THREE.SphereGeometry(8, 32, 32);
+function createCentralStar(stellar) {
+    const hostStar = stellar || StellarModel.estimateStellarProperties();
+    
+    // Blackbody color from the effective temperature
+    const starColor = StellarModel.blackbodyColor(hostStar.effectiveTemperature);
+    
+    // A Sun-sized star has radius 8; scale by √R so dwarfs and giants both stay readable
+    const starRadius = Math.min(Math.max(8 * Math.sqrt(hostStar.radius), 3), 20);
+    
+    const starGeometry = new THREE.SphereGeometry(starRadius, 32, 32);
     const starMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0xffff00,
-        emissive: 0xffff00,
-        emissiveIntensity: 0.6
+        color: starColor
     });
     
     currentStar = new THREE.Mesh(starGeometry, starMaterial);
     currentStar.position.set(0, 0, 0);
+    currentStar.userData = { type: 'star', stellar: hostStar };
+    
+    // Light the planets from the star, brighter for more luminous hosts
+    const lightIntensity = Math.min(Math.max(1 + 0.5 * Math.log10(hostStar.luminosity), 0.3), 2.5);
+    const starLight = new THREE.PointLight(starColor, lightIntensity, 0);
+    currentStar.add(starLight);
+    
     scene.add(currentStar);
 }
 
-// Create planet in individual system view
-function createPlanetInSystem(planet, index, totalPlanets) {
-    // Calculate orbital position with better spacing for more planets
-    const angle = (index / totalPlanets) * Math.PI * 2;
-    
+// Evenly spaced orbit radius used by the schematic layout
+function schematicOrbitDistance(index, totalPlanets) {
     // Dynamic distance calculation based on number of planets
     let baseDistance = 20;
     let distanceIncrement = totalPlanets > 5 ? 15 : 20;
@@ -625,11 +1143,125 @@ function createPlanetInSystem(planet, index, totalPlanets) {
         baseDistance = 15;
         distanceIncrement = 12;
     }
+    return baseDistance + (index * distanceIncrement);
+}
+
+/**
+ * Scene distance for a distance from the star in AU, in the current layout
+ * @param {number} au - Distance in AU
+ * @param {Array} systemPlanets - All planets of the system (sets the linear and schematic scales)
+ * @returns {number} Distance in scene units
+ */
+function auToSceneDistance(au, systemPlanets) {
+    const axes = systemPlanets.map(p => (p.ellipticalOrbit && p.ellipticalOrbit.semiMajorAxis) || 0);
+    
+    if (orbitLayout === 'linear' && Math.max(...axes, 0) > 0) {
+        // Scale the whole system so its outermost planet lands on the outer radius
+        const maxAxis = Math.max(...axes);
+        return Math.max(au / maxAxis * LINEAR_ORBIT_OUTER_RADIUS, ORBIT_INNER_RADIUS * 0.5);
+    }
     
-    const distance = baseDistance + (index * distanceIncrement);
-    const x = Math.cos(angle) * distance;
-    const z = Math.sin(angle) * distance;
-    const y = (Math.random() - 0.5) * 3; // Even less vertical spread for crowded systems
+    if (orbitLayout === 'schematic') {
+        // Interpolate (in log AU) between the planets' evenly spaced radii
+        const anchors = [];
+        axes.forEach((axis, index) => {
+            if (axis > 0) {
+                anchors.push({ au: axis, distance: schematicOrbitDistance(index, systemPlanets.length) });
+            }
+        });
+        if (anchors.length > 0) {
+            const first = anchors[0];
+            const last = anchors[anchors.length - 1];
+            if (au <= first.au) return first.distance * au / first.au;
+            if (au >= last.au) return last.distance * au / last.au;
+            for (let k = 1; k < anchors.length; k++) {
+                const lower = anchors[k - 1];
+                const upper = anchors[k];
+                if (au <= upper.au) {
+                    const span = Math.log(upper.au / lower.au);
+                    const t = span > 0 ? Math.log(au / lower.au) / span : 0;
+                    return lower.distance + t * (upper.distance - lower.distance);
+                }
+            }
+        }
+    }
+    
+    // Fixed log scale so orbits are comparable between systems: 0.01 AU → 12, 1 AU → 62
+    const decades = Math.log10(au / LOG_ORBIT_INNER_AU);
+    return ORBIT_INNER_RADIUS + Math.max(decades, 0) * LOG_ORBIT_UNITS_PER_DECADE;
+}
+
+// Orbital period in days: the catalog value, else Kepler's third law around the host star
+function orbitalPeriodDays(planet) {
+    const orbit = planet.ellipticalOrbit;
+    if (!orbit) return null;
+    if (orbit.period > 0) return orbit.period;
+    if (!(orbit.semiMajorAxis > 0)) return null;
+    const starMass = planet.stellar ? planet.stellar.mass : 1;
+    return 365.25 * Math.sqrt(Math.pow(orbit.semiMajorAxis, 3) / starMass);
+}
+
+/**
+ * Scene-space orbit for a planet in the current layout
+ * @param {Object} planet - System planet
+ * @param {number} index - Position of the planet in its system
+ * @param {Array} systemPlanets - All planets of the system
+ * @returns {Object} { distance, periodDays } in scene units and days
+ */
+function computeOrbitLayout(planet, index, systemPlanets) {
+    const semiMajorAxis = planet.ellipticalOrbit ? planet.ellipticalOrbit.semiMajorAxis : null;
+    
+    // Hand-made planets without orbital elements always use the schematic spacing
+    if (orbitLayout === 'schematic' || !(semiMajorAxis > 0)) {
+        const distance = schematicOrbitDistance(index, systemPlanets.length);
+        // Without a catalog period, slower for distant planets (0.3 / (distance * 0.1) rad/day)
+        const periodDays = orbitalPeriodDays(planet) || (2 * Math.PI * distance / 3);
+        return { distance, periodDays };
+    }
+    
+    const distance = auToSceneDistance(semiMajorAxis, systemPlanets);
+    
+    // The real period (or Kepler's third law), so the clock rate sets the pace
+    return { distance, periodDays: orbitalPeriodDays(planet) };
+}
+
+// KeplerOrbit works in a z-up reference plane; the system view's orbital plane is XZ
+function setFromOrbitPosition(vector, position) {
+    return vector.set(position.x, position.z, position.y);
+}
+
+// Catalog inclinations are against the sky plane (transiting planets sit near
+// 90°). Orbits are tilted by their difference from the system's mean, so the
+// reference plane is the flat one of the habitable zone rings.
+function relativeInclination(planet, systemPlanets) {
+    const measured = candidate => candidate.ellipticalOrbit &&
+        typeof candidate.ellipticalOrbit.inclination === 'number' &&
+        !(candidate.imputed || []).includes('ellipticalOrbit.inclination');
+    if (!measured(planet)) return 0;
+    
+    const inclinations = systemPlanets.filter(measured).map(p => p.ellipticalOrbit.inclination);
+    const mean = inclinations.reduce((sum, value) => sum + value, 0) / inclinations.length;
+    return planet.ellipticalOrbit.inclination - mean;
+}
+
+// Create planet in individual system view
+function createPlanetInSystem(planet, index, totalPlanets) {
+    // Spread the mean anomalies at J2000 so planets don't line up
+    const angle = (index / totalPlanets) * Math.PI * 2;
+    
+    const systemPlanets = starSystems[currentSystem] ? starSystems[currentSystem].planets : [planet];
+    const layout = computeOrbitLayout(planet, index, systemPlanets);
+    const distance = layout.distance;
+    
+    // The orbit's size comes from the layout; its shape and tilt from the catalog
+    const catalogOrbit = planet.ellipticalOrbit || {};
+    const elements = {
+        semiMajorAxis: distance,
+        eccentricity: catalogOrbit.eccentricity || 0,
+        inclination: relativeInclination(planet, systemPlanets)
+    };
+    const startAnomaly = angle + 2 * Math.PI * simClock.daysSinceJ2000() / layout.periodDays;
+    const start = setFromOrbitPosition(new THREE.Vector3(), KeplerOrbit.positionAtMeanAnomaly(elements, startAnomaly));
     
     // Determine planet size based on type
     let radius = 1;
@@ -644,44 +1276,144 @@ function createPlanetInSystem(planet, index, totalPlanets) {
     const material = new THREE.MeshLambertMaterial({ map: texture });
     
     const exoplanet = new THREE.Mesh(geometry, material);
-    exoplanet.position.set(x, y, z);
+    exoplanet.position.copy(start);
     exoplanet.userData = planet;
+    exoplanet.userData.orbitLayout = { elements, periodDays: layout.periodDays, phase: angle };
     
     // Add atmosphere effect for certain planet types
     if (planet.type.includes('Earth') || planet.type === 'Ocean World' || planet.type.includes('Jupiter')) {
         const atmosphere = createAtmosphere(radius, planet.type);
-        atmosphere.position.set(x, y, z);
+        atmosphere.position.copy(start);
         scene.add(atmosphere);
         exoplanet.userData.atmosphere = atmosphere;
     }
     
     scene.add(exoplanet);
     exoplanets.push(exoplanet);
+    createPlanetLabel(exoplanet, radius);
     
-    // Add orbital path
-    const orbitGeometry = new THREE.RingGeometry(distance - 0.5, distance + 0.5, 64);
-    const orbitMaterial = new THREE.MeshBasicMaterial({ 
-        color: planet.inHabitableZone ? 0x00ff88 : 0x444444,
-        side: THREE.DoubleSide,
+    // Add orbital path: the full ellipse, tilted by the relative inclination
+    const pathPoints = KeplerOrbit.orbitPath(elements).map(p => setFromOrbitPosition(new THREE.Vector3(), p));
+    const orbitGeometry = new THREE.BufferGeometry().setFromPoints(pathPoints);
+    const orbitMaterial = new THREE.LineBasicMaterial({ 
+        color: planet.inHabitableZone ? 0x00ff88 : 0x888888,
         transparent: true,
-        opacity: planet.inHabitableZone ? 0.4 : 0.2
+        opacity: planet.inHabitableZone ? 0.6 : 0.35
     });
-    const orbit = new THREE.Mesh(orbitGeometry, orbitMaterial);
-    orbit.rotation.x = Math.PI / 2;
+    const orbit = new THREE.Line(orbitGeometry, orbitMaterial);
     scene.add(orbit);
+    orbitPaths.push(orbit);
+}
+
+// A floating name label; updateLabels() decides each frame whether it shows
+function createLabel(text, className, planets) {
+    const element = document.createElement('div');
+    element.className = `scene-label ${className}`;
+    element.textContent = text;
+    const label = new THREE.CSS2DObject(element);
+    label.visible = false;
+    label.userData = { planets: planets, width: 0, height: 0 };
+    labels.push(label);
+    return label;
+}
+
+// Create system label for galaxy overview, just above the system's marker
+function createSystemLabel(system, position) {
+    const label = createLabel(system.name, 'system-label', system.planets);
+    label.position.copy(position);
+    label.position.y += SYSTEM_MARKER_RADIUS * 2;
+    scene.add(label);
+}
+
+// Create a planet's label, carried along its orbit by the planet mesh
+function createPlanetLabel(planetMesh, radius) {
+    const planet = planetMesh.userData;
+    const label = createLabel(planet.name, planet.inHabitableZone ? 'planet-label habitable' : 'planet-label', [planet]);
+    label.position.set(0, radius + 2, 0);
+    planetMesh.add(label);
+}
+
+// Whether a label's object passes the label mode: a system passes when any of
+// its planets does
+function labelWanted(label) {
+    const planets = label.userData.planets;
+    switch (labelMode) {
+        case 'none':
+            return false;
+        case 'filtered':
+            return planets.some(matchesFilters);
+        case 'habitable':
+            return planets.some(planet => planet.inHabitableZone === true);
+        default:
+            return true;
+    }
 }
 
-// Create system label for galaxy overview
-function createSystemLabel(systemName, x, y, z) {
-    // This would typically use TextGeometry, but for simplicity we'll skip labels for now
-    // Could be implemented with CSS3D or TextGeometry if needed
+// Show the labels that fit: nearest the camera first, skipping any that would
+// overlap one already shown, faded with distance
+function updateLabels() {
+    const fade = currentSystem === 'overview' ? LABEL_FADE.overview : LABEL_FADE.system;
+    const halfWidth = window.innerWidth / 2;
+    const halfHeight = window.innerHeight / 2;
+    const world = new THREE.Vector3();
+    const candidates = [];
+    
+    labels.forEach(label => {
+        label.visible = false;
+        const owner = label.parent;
+        if (owner !== scene && !owner.visible) return; // Planet hidden by the filters
+        if (!labelWanted(label)) return;
+        
+        label.getWorldPosition(world);
+        const distance = world.distanceTo(camera.position);
+        const opacity = LabelLayout.fadeOpacity(distance, fade.near, fade.far);
+        if (opacity <= 0) return;
+        
+        const projected = world.clone().project(camera);
+        if (projected.z < -1 || projected.z > 1 || Math.abs(projected.x) > 1 || Math.abs(projected.y) > 1) return;
+        
+        const data = label.userData;
+        candidates.push({
+            label: label,
+            opacity: opacity,
+            distance: distance,
+            x: (projected.x + 1) * halfWidth,
+            y: (1 - projected.y) * halfHeight,
+            width: data.width || label.element.textContent.length * LABEL_CHAR_WIDTH + 10,
+            height: data.height || LABEL_HEIGHT
+        });
+    });
+    
+    candidates.sort((a, b) => a.distance - b.distance);
+    LabelLayout.placeLabels(candidates, { maxLabels: MAX_LABELS }).forEach(index => {
+        const { label, opacity } = candidates[index];
+        label.visible = true;
+        label.element.style.opacity = opacity.toFixed(2);
+        
+        // Measure once shown, for the next frames' overlap tests
+        if (!label.userData.width && label.element.offsetWidth > 0) {
+            label.userData.width = label.element.offsetWidth;
+            label.userData.height = label.element.offsetHeight;
+        }
+    });
 }
 
 // Reset camera position based on current view
 function resetCamera() {
     if (currentSystem === 'overview') {
-        camera.position.set(0, 100, 200);
-        controls.target.set(0, 0, 0);
+        // Frame the Sun and every placed system, seen from the side of the
+        // Kepler field so the depth of the field shows
+        const bounds = new THREE.Box3().setFromPoints([new THREE.Vector3(0, 0, 0)]);
+        overviewSystems.forEach(system => bounds.expandByPoint(system.position));
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = Math.max(bounds.getSize(new THREE.Vector3()).length(), 100);
+        const field = SkyPosition.KEPLER_FIELD;
+        const fieldAxis = SkyPosition.equatorialToCartesian(field.ra, field.dec, 1);
+        const side = new THREE.Vector3(fieldAxis.x, fieldAxis.y, fieldAxis.z)
+            .cross(new THREE.Vector3(0, 1, 0))
+            .normalize();
+        camera.position.copy(center).addScaledVector(side, size * 0.8).add(new THREE.Vector3(0, size * 0.2, 0));
+        controls.target.copy(center);
     } else {
         camera.position.set(0, 30, 80);
         controls.target.set(0, 0, 0);
@@ -751,36 +1483,87 @@ function onMouseClick(event) {
     // Update the picking ray with the camera and mouse position
     raycaster.setFromCamera(mouse, camera);
     
-    // Calculate objects intersecting the picking ray
-    const intersects = raycaster.intersectObjects(exoplanets);
+    // In the galaxy overview, clicking a system switches to it
+    if (currentSystem === 'overview') {
+        const system = pickOverviewSystem();
+        if (system) {
+            document.getElementById('system-select').value = system.systemName;
+            showSystem(system.systemName);
+            viewHistory.push();
+        }
+        return;
+    }
     
-    if (intersects.length > 0) {
-        const selectedObject = intersects[0].object;
-        const userData = selectedObject.userData;
-        
-        if (userData.type === 'system') {
-            // If in galaxy overview and clicked on a system, switch to that system
-            if (currentSystem === 'overview') {
-                document.getElementById('system-select').value = userData.systemName;
-                showSystem(userData.systemName);
-            }
-        } else {
-            // Regular planet, center camera and show info
-            centerCameraOnPlanet(selectedObject);
-            showPlanetInfo(userData);
+    // Planet: center camera and show info
+    const selectedObject = pickPlanet();
+    if (selectedObject) {
+        centerCameraOnPlanet(selectedObject);
+        showPlanetInfo(selectedObject.userData);
+        viewHistory.push();
+    }
+}
+
+// Show a tooltip for the system or planet under the mouse
+function updateHover() {
+    const event = hoverEvent;
+    hoverEvent = null;
+    const tooltip = document.getElementById('hover-tooltip');
+    
+    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+    
+    // Title and detail lines; catalog names are set as text, never as markup
+    let lines = null;
+    if (currentSystem === 'overview') {
+        const picked = pickOverviewSystem();
+        if (picked) {
+            const system = starSystems[picked.systemName];
+            const confirmed = system.planets.filter(planet => planet.status === 'confirmed').length;
+            const habitable = system.planets.filter(planet => planet.inHabitableZone).length;
+            const details = [
+                `${system.planets.length} planet${system.planets.length === 1 ? '' : 's'}`,
+                confirmed > 0 ? `${confirmed} confirmed` : null,
+                habitable > 0 ? `${habitable} in habitable zone` : null
+            ];
+            lines = [system.name, details.filter(Boolean).join(' · '), Units.formatDistance(system.distance)];
+        }
+    } else {
+        const planet = pickPlanet();
+        if (planet) {
+            const data = planet.userData;
+            const details = [data.type, data.status, typeof data.confidence === 'number' ? `${Math.round(data.confidence * 100)}% confidence` : null];
+            lines = [data.name, details.filter(Boolean).join(' · ')];
         }
     }
+    
+    renderer.domElement.style.cursor = lines ? 'pointer' : '';
+    if (!lines) {
+        tooltip.classList.add('hidden');
+        return;
+    }
+    tooltip.replaceChildren(...lines.map((line, index) => {
+        const element = document.createElement(index === 0 ? 'strong' : 'div');
+        element.textContent = line;
+        return element;
+    }));
+    tooltip.style.left = `${event.clientX + 14}px`;
+    tooltip.style.top = `${event.clientY + 14}px`;
+    tooltip.classList.remove('hidden');
 }
 
 // Show planet information panel
 function showPlanetInfo(planetData) {
+    infoPanelPlanet = planetData;
     document.getElementById('planet-name').textContent = planetData.name;
-    document.getElementById('planet-mass').textContent = planetData.mass;
-    document.getElementById('planet-distance').textContent = planetData.distance;
+    document.getElementById('planet-mass').textContent = Units.formatMass(planetData.mass);
+    document.getElementById('planet-distance').textContent = Units.formatDistance(planetData.distance);
     document.getElementById('planet-type').textContent = planetData.type;
     document.getElementById('planet-system').textContent = planetData.system || 'Unknown';
     document.getElementById('planet-discovery').textContent = planetData.discoveryYear || 'Unknown';
-    document.getElementById('planet-habitable').textContent = planetData.inHabitableZone ? 'Yes' : 'No';
+    document.getElementById('planet-habitable').textContent = planetData.inHabitableZone
+        ? (planetData.habitableZone ? `Yes (${planetData.habitableZone})` : 'Yes')
+        : 'No';
     
     // Mission data
     document.getElementById('planet-mission').textContent = planetData.mission || 'Unknown';
@@ -788,12 +1571,37 @@ function showPlanetInfo(planetData) {
     document.getElementById('planet-confidence').textContent = planetData.confidence ? 
         `${(planetData.confidence * 100).toFixed(1)}%` : 'N/A';
     
+    // Habitability metrics; the shared module fills in any the record lacks
+    const metrics = Habitability.planetMetrics(planetData);
+    ViewHelpers.setMetricValue(document.getElementById('planet-temperature'),
+        metrics.temperatureSource
+            ? `${Units.formatTemperature(metrics.temperature)} · ${metrics.temperatureSource}`
+            : Units.formatTemperature(metrics.temperature),
+        metrics.estimated.temperature);
+    const fluxRadius = Habitability.fluxRadiusPosition(planetData);
+    document.getElementById('planet-insolation').textContent = Units.formatInsolation(fluxRadius.insolation);
+    FluxRadiusPlot.render(document.getElementById('planet-flux-plot'), fluxRadius);
+    document.getElementById('planet-flux-caption').textContent =
+        FluxRadiusPlot.describe(fluxRadius.insolation, fluxRadius.radius);
+    ViewHelpers.setMetricValue(document.getElementById('planet-esi'),
+        metrics.esi !== null ? metrics.esi.toFixed(3) : 'N/A', metrics.estimated.esi);
+    ViewHelpers.setMetricValue(document.getElementById('planet-habitability'),
+        metrics.habitabilityIndex !== null ? metrics.habitabilityIndex.toFixed(3) : 'N/A',
+        metrics.estimated.habitabilityIndex);
+    
     // Transit data
-    document.getElementById('planet-period').textContent = planetData.orbitalPeriod || 'N/A';
+    document.getElementById('planet-period').textContent = Units.formatPeriod(planetData.orbitalPeriod);
     document.getElementById('planet-depth').textContent = planetData.transitDepth ? 
         planetData.transitDepth.toExponential(2) : 'N/A';
     document.getElementById('planet-duration').textContent = planetData.transitDuration || 'N/A';
     
+    // Values the source catalog didn't provide
+    ViewHelpers.flagImputedFields(planetData, {
+        'ellipticalOrbit.period': 'planet-period',
+        'confidence': 'planet-confidence',
+        'discoveryYear': 'planet-discovery'
+    });
+    
     // Highlight planets in habitable zone
     const habitableSpan = document.getElementById('planet-habitable');
     if (planetData.inHabitableZone) {
@@ -898,6 +1706,7 @@ function centerCameraOnPlanet(planet) {
             if (currentSystem !== 'overview') {
                 document.getElementById('reset-view-btn').classList.remove('hidden');
             }
+            viewHistory.replace();
         }
     }
     
@@ -915,36 +1724,36 @@ function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
+    
+    // Point sizes are in scene units, converted with the viewport height
+    if (systemPoints) {
+        systemPoints.material.uniforms.pixelsPerUnit.value = pixelsPerUnit() * renderer.getPixelRatio();
+    }
 }
 
 // Animation loop
 function animate() {
     requestAnimationFrame(animate);
     
+    // All motion is a function of the simulated time
+    simClock.tick();
+    const days = simClock.daysSinceJ2000();
+    
     // Rotate exoplanets around their axis
     exoplanets.forEach((planet, index) => {
-        planet.rotation.y += 0.01;
+        const layout = planet.userData.orbitLayout;
+        
+        // Close-in candidates are assumed tidally locked: one spin per orbit
+        const spinPeriod = layout ? layout.periodDays : STAR_SPIN_PERIOD_DAYS;
+        planet.rotation.y = 2 * Math.PI * ((days / spinPeriod) % 1);
         
         // Add orbital motion only in individual system view
         if (currentSystem !== 'overview' && planet.userData.type !== 'system') {
-            const time = Date.now() * 0.001;
-            const systemPlanets = starSystems[currentSystem] ? starSystems[currentSystem].planets : [];
-            const planetIndex = systemPlanets.findIndex(p => p.name === planet.userData.name);
-            
-            if (planetIndex !== -1) {
-                let baseDistance = 20;
-                let distanceIncrement = systemPlanets.length > 5 ? 15 : 20;
-                if (systemPlanets.length > 7) {
-                    baseDistance = 15;
-                    distanceIncrement = 12;
-                }
-                
-                const distance = baseDistance + (planetIndex * distanceIncrement);
-                const speed = 0.3 / (distance * 0.1); // Slower for distant planets
-                const angle = time * speed + (planetIndex / systemPlanets.length) * Math.PI * 2;
-                
-                planet.position.x = Math.cos(angle) * distance;
-                planet.position.z = Math.sin(angle) * distance;
+            if (layout) {
+                // The mean anomaly advances uniformly; Kepler's equation gives the position
+                const meanAnomaly = layout.phase + 2 * Math.PI * ((days / layout.periodDays) % 1);
+                setFromOrbitPosition(planet.position, KeplerOrbit.positionAtMeanAnomaly(layout.elements, meanAnomaly));
                 
                 // Update atmosphere position if it exists
                 if (planet.userData.atmosphere) {
@@ -954,6 +1763,11 @@ function animate() {
         }
     });
     
+    // Planets moved: re-index them when next picked
+    if (currentSystem !== 'overview') {
+        planetIndex = null;
+    }
+    
     // Update camera to follow planet if following mode is active
     if (followingPlanet && !cameraAnimating) {
         const planetPosition = followingPlanet.position.clone();
@@ -963,6 +1777,15 @@ function animate() {
         controls.target.copy(planetPosition);
     }
     
+    // Swap the overview's nearest systems between points and meshes
+    if (currentSystem === 'overview') {
+        updateSystemDetail();
+    }
+    
+    if (hoverEvent && !cameraAnimating) {
+        updateHover();
+    }
+    
     // Animate starfield twinkling
     if (scene.userData.starfield) {
         const time = Date.now() * 0.001;
@@ -971,6 +1794,9 @@ function animate() {
     
     controls.update();
     renderer.render(scene, camera);
+    
+    updateLabels();
+    labelRenderer.render(scene, camera);
 }
 
 // Generate random planet data
@@ -988,15 +1814,16 @@ function generateRandomPlanetData() {
     const randomType = planetTypes[Math.floor(Math.random() * planetTypes.length)];
     
     // Generate random mass based on type
-    let mass;
+    let massValue;
     if (randomType.includes('Jupiter') || randomType === 'Gas Giant') {
-        mass = (Math.random() * 2 + 0.5).toFixed(2) + " Jupiters";
+        massValue = Units.convert(Math.random() * 2 + 0.5, 'jupiterMass', 'earthMass');
     } else {
-        mass = (Math.random() * 8 + 0.5).toFixed(2) + " Earths";
+        massValue = Math.random() * 8 + 0.5;
     }
+    const mass = { value: massValue, lower: null, upper: null, unit: 'earthMass' };
     
-    // Generate random distance
-    const distance = (Math.random() * 1000 + 10).toFixed(1) + " light-years";
+    // Generate random distance (10-1010 light years)
+    const distance = Units.quantity(Units.convert(Math.random() * 1000 + 10, 'ly', 'pc'), 'pc');
     
     return {
         name: randomName,
@@ -1075,13 +1902,11 @@ function showSizeComparison() {
         const planetData = planet.userData;
         let earthRadii = 1.0;
         
-        // Calculate relative size based on mass and type
-        if (planetData.mass.includes('Jupiters')) {
-            const mass = parseFloat(planetData.mass);
-            earthRadii = mass * 11.2; // Jupiter is ~11.2 Earth radii
-        } else if (planetData.mass.includes('Earths')) {
-            const mass = parseFloat(planetData.mass);
-            earthRadii = Math.pow(mass, 1/3); // Rough approximation
+        // Measured radius, else the radius the mass–radius relation predicts
+        if (planetData.radius) {
+            earthRadii = planetData.radius / 6371;
+        } else if (planetData.mass) {
+            earthRadii = MassRadius.radiusFromMass(Units.convert(planetData.mass.value, planetData.mass.unit, 'earthMass'));
         }
         
         const item = createComparisonItem(planetData.name, earthRadii, '#00d4ff');
@@ -1112,7 +1937,12 @@ function createComparisonItem(name, earthRadii, color) {
 
 // Toggle habitable zone visibility
 function toggleHabitableZone() {
-    habitableZoneVisible = !habitableZoneVisible;
+    setHabitableZoneVisible(!habitableZoneVisible);
+    viewHistory.replace();
+}
+
+function setHabitableZoneVisible(visible) {
+    habitableZoneVisible = visible;
     
     habitableZoneObjects.forEach(obj => {
         obj.visible = habitableZoneVisible;
@@ -1158,40 +1988,46 @@ function showTimeline() {
     document.getElementById('timeline-panel').classList.remove('hidden');
 }
 
-// Filter planets by type, mission, and status
-function filterPlanets() {
+// Whether a planet passes the type, mission and status filters
+function matchesFilters(planetData) {
     const typeFilter = document.getElementById('planet-filter').value;
     const missionFilter = document.getElementById('mission-filter').value;
     const statusFilter = document.getElementById('status-filter').value;
+    let visible = true;
+    
+    // Type filter
+    if (typeFilter !== 'all') {
+        if (typeFilter === 'habitable') {
+            visible = visible && planetData.inHabitableZone === true;
+        } else {
+            visible = visible && planetData.type === typeFilter;
+        }
+    }
+    
+    // Mission filter
+    if (missionFilter !== 'all') {
+        visible = visible && planetData.mission === missionFilter;
+    }
     
+    // Status filter
+    if (statusFilter !== 'all') {
+        visible = visible && planetData.status === statusFilter;
+    }
+    
+    return visible;
+}
+
+// Filter planets by type, mission, and status
+function filterPlanets() {
     exoplanets.forEach(planet => {
         const planetData = planet.userData;
-        let visible = true;
         
         // Skip system stars in galaxy view
         if (planetData.type === 'system') {
             return;
         }
         
-        // Type filter
-        if (typeFilter !== 'all') {
-            if (typeFilter === 'habitable') {
-                visible = visible && planetData.inHabitableZone === true;
-            } else {
-                visible = visible && planetData.type === typeFilter;
-            }
-        }
-        
-        // Mission filter
-        if (missionFilter !== 'all') {
-            visible = visible && planetData.mission === missionFilter;
-        }
-        
-        // Status filter
-        if (statusFilter !== 'all') {
-            visible = visible && planetData.status === statusFilter;
-        }
-        
+        const visible = matchesFilters(planetData);
         planet.visible = visible;
         
         // Also hide/show atmosphere if it exists
@@ -1199,6 +2035,8 @@ function filterPlanets() {
             planetData.atmosphere.visible = visible;
         }
     });
+    
+    viewHistory.replace();
 }
 
 // Update UI context based on current view
@@ -1209,15 +2047,27 @@ function updateUIContext() {
     const systemInfo = document.getElementById('system-info');
     const resetViewBtn = document.getElementById('reset-view-btn');
     
+    const downloadBtn = document.getElementById('download-ssc-btn');
+    
     if (currentSystem === 'overview') {
-        navigationText.textContent = 'Click on a star system to explore it in detail';
+        const notes = [];
+        if (overviewCounts.unknownDistance > 0) {
+            notes.push(`${overviewCounts.unknownDistance} systems of unknown distance on the outer shell`);
+        }
+        if (overviewCounts.unplaced > 0) {
+            notes.push(`${overviewCounts.unplaced} systems without sky coordinates only in the system list`);
+        }
+        navigationText.textContent = 'Click on a star system to explore it in detail' +
+            (notes.length > 0 ? ` (${notes.join('; ')})` : '');
         habitableZoneBtn.style.display = 'none';
+        downloadBtn.style.display = 'none';
         addPlanetBtn.textContent = '🌟 Add Random System';
         systemInfo.classList.add('hidden');
         resetViewBtn.classList.add('hidden');
     } else {
         navigationText.textContent = `Exploring ${currentSystem} system - Click planets for details`;
         habitableZoneBtn.style.display = 'inline-block';
+        downloadBtn.style.display = 'inline-block';
         addPlanetBtn.textContent = '🪐 Add Random Planet';
         resetViewBtn.classList.add('hidden'); // Hide until planet is selected
         
@@ -1225,8 +2075,10 @@ function updateUIContext() {
         const system = starSystems[currentSystem];
         if (system) {
             document.getElementById('current-system-name').textContent = currentSystem;
-            document.getElementById('current-system-distance').textContent = system.distance;
+            document.getElementById('current-system-distance').textContent = Units.formatDistance(system.distance);
             document.getElementById('current-system-planets').textContent = system.planets.length;
+            document.getElementById('current-system-star').textContent = formatStellarSummary(system.stellar);
+            showNearestSystems(system);
             systemInfo.classList.remove('hidden');
         }
     }
@@ -1237,6 +2089,134 @@ function updateUIContext() {
     document.getElementById('timeline-panel').classList.add('hidden');
 }
 
+// List the systems nearest the current one, each a link to it
+function showNearestSystems(system) {
+    const list = document.getElementById('nearest-systems');
+    list.innerHTML = '';
+    
+    const nearest = nearestSystems(system, NEAREST_SYSTEM_COUNT);
+    if (!nearest || nearest.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = nearest ? 'None placed' : 'Unknown (no sky coordinates)';
+        list.appendChild(item);
+        return;
+    }
+    
+    nearest.forEach(({ item: other, distance }) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = other.name;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('system-select').value = other.name;
+            showSystem(other.name);
+            viewHistory.push();
+        });
+        item.appendChild(link);
+        item.appendChild(document.createTextNode(` · ${Units.formatDistance({ value: distance, unit: 'pc' })}`));
+        list.appendChild(item);
+    });
+}
+
+// The planet shown in the info panel, if it belongs to the current system
+function selectedPlanetMesh() {
+    if (!infoPanelPlanet || document.getElementById('info-panel').classList.contains('hidden')) return null;
+    return exoplanets.find(planet => planet.userData === infoPanelPlanet) || null;
+}
+
+// Current view state, for the URL hash
+function readViewState() {
+    const selected = selectedPlanetMesh();
+    return {
+        system: currentSystem,
+        planet: selected ? selected.userData.name : null,
+        cam: camera.position.toArray(),
+        target: controls.target.toArray(),
+        type: document.getElementById('planet-filter').value,
+        mission: document.getElementById('mission-filter').value,
+        status: document.getElementById('status-filter').value,
+        labels: labelMode,
+        galaxy: galaxyLayout,
+        orbits: orbitLayout,
+        t: simClock.getTime(),
+        rate: simClock.rate,
+        paused: simClock.paused,
+        hz: habitableZoneVisible
+    };
+}
+
+// Set a select to a value from the URL, or to the fallback when it isn't one of its options
+function setSelectValue(id, value, fallback) {
+    const select = document.getElementById(id);
+    select.value = value;
+    if (select.value !== value) select.value = fallback;
+    return select.value;
+}
+
+// Show a view state read from the URL hash (on load and on back/forward)
+function applyViewState(state) {
+    // The state says where the camera is: stop any flight or planet following
+    if (animationId) cancelAnimationFrame(animationId);
+    animationId = null;
+    cameraAnimating = false;
+    followingPlanet = null;
+    
+    setSelectValue('planet-filter', state.type, 'all');
+    setSelectValue('mission-filter', state.mission, 'all');
+    setSelectValue('status-filter', state.status, 'all');
+    labelMode = setSelectValue('label-mode-select', state.labels, 'all');
+    galaxyLayout = setSelectValue('galaxy-layout-select', state.galaxy, 'log');
+    orbitLayout = setSelectValue('orbit-layout-select', state.orbits, 'log');
+    simClock.setState({ time: state.t, rate: state.rate, paused: state.paused });
+    
+    const systemName = starSystems[state.system] ? state.system : 'overview';
+    document.getElementById('system-select').value = systemName;
+    showSystem(systemName);
+    filterPlanets();
+    setHabitableZoneVisible(state.hz);
+    
+    const planet = state.planet ? exoplanets.find(mesh => mesh.userData.name === state.planet) : null;
+    if (planet) {
+        showPlanetInfo(planet.userData);
+    } else {
+        document.getElementById('info-panel').classList.add('hidden');
+    }
+    
+    if (state.cam && state.cam.length === 3 && state.target && state.target.length === 3) {
+        camera.position.fromArray(state.cam);
+        controls.target.fromArray(state.target);
+        controls.update();
+        
+        // Keep following the selected planet from the same offset
+        if (planet) {
+            followingPlanet = planet;
+            cameraOffset.copy(camera.position).sub(controls.target);
+            document.getElementById('reset-view-btn').classList.remove('hidden');
+        }
+    } else if (planet) {
+        centerCameraOnPlanet(planet);
+    }
+}
+
+// Export the planets of the current system as a Celestia .ssc file
+function downloadCurrentSystemSSC() {
+    const system = starSystems[currentSystem];
+    if (!system) return;
+    
+    const sscText = SSCWriter.serializeCatalog(system.planets, {
+        header: `${system.name} - exported from Celestia Web Solar Systems Explorer\n${system.planets.length} planets`
+    });
+    const fileName = `${system.name.replace(/[^\w.-]+/g, '_')}.ssc`;
+    ViewHelpers.downloadTextFile(sscText, fileName);
+}
+
+// Short description of a host star, e.g. "G2V · 5772 K · 1.00 R☉"
+function formatStellarSummary(stellar) {
+    if (!stellar) return 'Unknown';
+    return `${stellar.spectralType} · ${stellar.effectiveTemperature} K · ${stellar.radius.toFixed(2)} R☉`;
+}
+
 // Reset camera to system overview
 function resetSystemView() {
     if (cameraAnimating) return;
@@ -1287,6 +2267,7 @@ function animateCameraToSystemView() {
             // Animation complete
             cameraAnimating = false;
             animationId = null;
+            viewHistory.replace();
         }
     }
     
@@ -1313,7 +2294,9 @@ function addRandomStarSystem() {
     const newSystem = {
         name: systemName,
         planets: [],
-        distance: (Math.random() * 100 + 10).toFixed(1) + ' light-years'
+        distance: (Math.random() * 100 + 10).toFixed(1) + ' light-years',
+        ra: Math.random() * 360,
+        dec: Math.asin(Math.random() * 2 - 1) / Math.PI * 180
     };
     
     for (let i = 0; i < planetCount; i++) {
@@ -1323,6 +2306,7 @@ function addRandomStarSystem() {
     }
     
     starSystems[systemName] = newSystem;
+    buildSystemIndex();
     
     // Update selector
     const selector = document.getElementById('system-select');
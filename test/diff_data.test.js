@@ -0,0 +1,84 @@
+// Tests for diff_data.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readDataset, diffPlanets, hasChanges, formatDiffReport } = require('../diff_data.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const previous = [
+    { id: 'K00001.01', radius: 6371, ellipticalOrbit: { period: 10, semiMajorAxis: 0.1 } },
+    { id: 'K00002.01', radius: 12742, ellipticalOrbit: { period: 20, semiMajorAxis: 0.2 } },
+    { id: 'K00003.01', radius: 25484, ellipticalOrbit: { period: 30, semiMajorAxis: 0.3 } }
+];
+const current = [
+    { id: 'K00001.01', radius: 6371, ellipticalOrbit: { period: 10, semiMajorAxis: 0.1 } },
+    { id: 'K00002.01', radius: 13000, ellipticalOrbit: { period: 20, semiMajorAxis: 0.2 }, imputed: ['radius'] },
+    { id: 'K00004.01', radius: 6371, ellipticalOrbit: { period: 40, semiMajorAxis: 0.4 } }
+];
+
+test('planets are matched by ID and compared field by field', () => {
+    const diff = diffPlanets(previous, current);
+    assert.deepStrictEqual(diff.added, ['K00004.01']);
+    assert.deepStrictEqual(diff.removed, ['K00003.01']);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.deepStrictEqual(diff.changed, [{
+        id: 'K00002.01',
+        changes: [
+            { field: 'radius', from: 12742, to: 13000 },
+            { field: 'imputed', from: undefined, to: ['radius'] }
+        ]
+    }]);
+    assert.strictEqual(hasChanges(diff), true);
+});
+
+test('nested fields are compared by dotted path', () => {
+    const moved = [Object.assign({}, previous[0], { ellipticalOrbit: { period: 10, semiMajorAxis: 0.11 } })];
+    const diff = diffPlanets([previous[0]], moved);
+    assert.deepStrictEqual(diff.changed[0].changes, [{ field: 'ellipticalOrbit.semiMajorAxis', from: 0.1, to: 0.11 }]);
+});
+
+test('identical datasets have no changes', () => {
+    const diff = diffPlanets(previous, JSON.parse(JSON.stringify(previous)));
+    assert.strictEqual(hasChanges(diff), false);
+    assert.strictEqual(diff.unchanged, 3);
+});
+
+test('duplicate IDs are listed and count as a change', () => {
+    const diff = diffPlanets(previous, previous.concat([previous[0]]));
+    assert.deepStrictEqual(diff.duplicates, { previous: [], current: ['K00001.01'] });
+    assert.strictEqual(hasChanges(diff), true);
+    assert.match(formatDiffReport(diff), /## Duplicate IDs\n\n- 1 duplicate IDs in the new dataset \(K00001\.01\)/);
+});
+
+test('the report lists every added, removed and changed planet', () => {
+    const report = formatDiffReport(diffPlanets(previous, current), 'koiData.json');
+    assert.match(report, /^# Changes to koiData\.json\n\n1 added, 1 removed, 1 changed, 1 unchanged\.\n/);
+    assert.match(report, /## Added \(1\)\n\n- K00004\.01\n/);
+    assert.match(report, /## Removed \(1\)\n\n- K00003\.01\n/);
+    assert.match(report, /\| `radius` \| 1 \|/);
+    assert.match(report, /### K00002\.01\n\n- `radius`: 12742 → 13000\n- `imputed`: \(none\) → \["radius"\]\n/);
+});
+
+test('datasets are read as JSON or NDJSON', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-data-'));
+    try {
+        const json = path.join(directory, 'old.json');
+        const ndjson = path.join(directory, 'new.ndjson');
+        const reportPath = path.join(directory, 'report.md');
+        fs.writeFileSync(json, JSON.stringify(previous, null, 2));
+        fs.writeFileSync(ndjson, current.map(planet => JSON.stringify(planet)).join('\n') + '\n');
+        assert.deepStrictEqual(readDataset(json), previous);
+        assert.deepStrictEqual(readDataset(ndjson), current);
+
+        const run = spawnSync(process.execPath, ['diff_data.js', json, ndjson, reportPath], { cwd: ROOT, encoding: 'utf-8' });
+        assert.strictEqual(run.status, 0);
+        assert.match(run.stdout, /1 added, 1 removed, 1 changed, 1 unchanged/);
+        assert.strictEqual(fs.readFileSync(reportPath, 'utf-8'), formatDiffReport(diffPlanets(previous, current), ndjson));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,54 @@
+// Tests for shared/habitability.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const Habitability = require('../shared/habitability.js');
+const solarSystem = require('../planet_viewer/solarSystemData.json');
+
+const earth = solarSystem.find(planet => planet.name === 'Earth');
+
+test('Earth is the ESI reference, not an estimate', () => {
+    const metrics = Habitability.planetMetrics(earth);
+    assert.strictEqual(metrics.esi, 1);
+    assert.deepStrictEqual(metrics.estimated, { temperature: false, esi: false, habitabilityIndex: false });
+});
+
+test('ESI and HI are flagged as estimated when their inputs are', () => {
+    const estimatedMass = Object.assign({}, earth, { mass: Object.assign({}, earth.mass, { source: 'estimated' }) });
+    assert.strictEqual(Habitability.planetMetrics(estimatedMass).estimated.esi, true);
+    assert.strictEqual(Habitability.planetMetrics(estimatedMass).estimated.habitabilityIndex, false);
+
+    const imputedRadius = Object.assign({}, earth, { imputed: ['radius'] });
+    assert.strictEqual(Habitability.planetMetrics(imputedRadius).estimated.esi, true);
+    assert.strictEqual(Habitability.planetMetrics(imputedRadius).estimated.habitabilityIndex, true);
+
+    // Stored values are flagged the same way as computed ones
+    const stored = Object.assign({}, earth, { temperatureSource: 'assumed', esi: 0.9, habitabilityIndex: 0.8 });
+    assert.deepStrictEqual(Habitability.planetMetrics(stored).estimated, { temperature: true, esi: true, habitabilityIndex: true });
+});
+
+test('Mars scores the published ESI of 0.70', () => {
+    // Table 1 of Schulze-Makuch et al. (2011)
+    const mars = Habitability.earthSimilarityIndex({ radius: 0.532, density: 0.713, escapeVelocity: 0.45, surfaceTemperature: 227 });
+    assert.strictEqual(mars.global.toFixed(2), '0.70');
+    assert.ok(mars.interior > mars.surface);
+});
+
+test('Earth\'s equilibrium temperature is about 255 K and its surface 288 K', () => {
+    const sun = { effectiveTemperature: 5772, radius: 1 };
+    assert.strictEqual(Math.round(Habitability.equilibriumTemperature(sun, 1)), 255);
+    assert.ok(Habitability.equilibriumTemperature(sun, 1, { redistribution: 'dayside' }) > 255);
+    assert.strictEqual(Habitability.equilibriumTemperature(sun, 0), null);
+    assert.strictEqual(Habitability.surfaceTemperature(255), 288);
+});
+
+test('the habitability index falls off with radius and temperature', () => {
+    assert.strictEqual(Habitability.habitabilityIndex(1, 288), 1);
+    assert.strictEqual(Habitability.habitabilityIndex(1.25, 318), 0.5);
+    assert.strictEqual(Habitability.habitabilityIndex(3, 500), 0);
+});
+
+test('planetESI needs a radius, a mass and a temperature', () => {
+    assert.strictEqual(Habitability.planetESI(Object.assign({}, earth, { radius: 0 })), null);
+    assert.strictEqual(Habitability.planetESI(Object.assign({}, earth, { temperature: null })), null);
+    assert.strictEqual(Habitability.planetESI(earth).global, 1);
+});
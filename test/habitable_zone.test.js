@@ -0,0 +1,42 @@
+// Tests for shared/habitable_zone.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const HabitableZone = require('../shared/habitable_zone.js');
+
+const SUN = { effectiveTemperature: 5780, luminosity: 1 };
+
+test('the Sun\'s limits match Kopparapu et al. (2014)', () => {
+    const zones = HabitableZone.habitableZone(SUN);
+    assert.strictEqual(zones.conservative.innerFlux, 1.107);
+    assert.strictEqual(zones.optimistic.outerFlux, 0.320);
+    assert.strictEqual(zones.conservative.inner.toFixed(2), '0.95');
+    assert.strictEqual(zones.conservative.outer.toFixed(2), '1.68');
+    assert.strictEqual(zones.optimistic.inner.toFixed(2), '0.75');
+    assert.strictEqual(zones.optimistic.outer.toFixed(2), '1.77');
+});
+
+test('zones scale with the square root of luminosity', () => {
+    const bright = HabitableZone.habitableZone({ effectiveTemperature: 5780, luminosity: 4 });
+    assert.strictEqual(bright.conservative.inner, 2 * HabitableZone.habitableZone(SUN).conservative.inner);
+});
+
+test('temperatures outside the fit use its nearest edge', () => {
+    assert.strictEqual(HabitableZone.effectiveFlux('earlyMars', 2000), HabitableZone.effectiveFlux('earlyMars', 2600));
+    assert.strictEqual(HabitableZone.effectiveFlux('earlyMars', 9000), HabitableZone.effectiveFlux('earlyMars', 7200));
+});
+
+test('classifyOrbit uses the orbit without an insolation', () => {
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 1), 'conservative');
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 0.8), 'optimistic');
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 0.3), null);
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 5), null);
+});
+
+test('classifyOrbit prefers a measured insolation', () => {
+    // A hot orbit around the Sun, but the catalog flux puts it in the zone
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 0.3, 1), 'conservative');
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 1, 1.5), 'optimistic');
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 1, 2), null);
+    // Zero or missing insolation falls back to the orbit
+    assert.strictEqual(HabitableZone.classifyOrbit(SUN, 1, 0), 'conservative');
+});
@@ -0,0 +1,51 @@
+// Tests for shared/kepler.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const KeplerOrbit = require('../shared/kepler.js');
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('solveKepler satisfies M = E - e·sin(E)', () => {
+    [0, 0.1, 0.5, 0.9, 0.99].forEach(e => {
+        [0.1, 1, 3, 5, 6.2].forEach(M => {
+            const E = KeplerOrbit.solveKepler(M, e);
+            assertClose(E - e * Math.sin(E), M);
+        });
+    });
+});
+
+test('circular orbits have equal mean, eccentric and true anomalies', () => {
+    assertClose(KeplerOrbit.solveKepler(2, 0), 2);
+    assertClose(KeplerOrbit.trueAnomaly(2, 0), 2);
+    // Negative and missing eccentricities count as circular
+    assertClose(KeplerOrbit.solveKepler(2, -0.3), 2);
+    assertClose(KeplerOrbit.solveKepler(2, undefined), 2);
+});
+
+test('periapsis and apoapsis distances follow the eccentricity', () => {
+    const elements = { semiMajorAxis: 2, eccentricity: 0.5 };
+    const periapsis = KeplerOrbit.positionAtMeanAnomaly(elements, 0);
+    const apoapsis = KeplerOrbit.positionAtMeanAnomaly(elements, Math.PI);
+    assertClose(Math.hypot(periapsis.x, periapsis.y, periapsis.z), 1);
+    assertClose(Math.hypot(apoapsis.x, apoapsis.y, apoapsis.z), 3);
+    assertClose(apoapsis.trueAnomaly, Math.PI);
+});
+
+test('inclination tilts the orbit out of the reference plane', () => {
+    const flat = KeplerOrbit.positionAtTrueAnomaly({ semiMajorAxis: 1, inclination: 0 }, Math.PI / 2);
+    const polar = KeplerOrbit.positionAtTrueAnomaly({ semiMajorAxis: 1, inclination: 90 }, Math.PI / 2);
+    assertClose(flat.z, 0);
+    assertClose(flat.y, 1);
+    assertClose(polar.z, 1);
+    assertClose(polar.y, 0);
+});
+
+test('orbitPath is closed', () => {
+    const points = KeplerOrbit.orbitPath({ semiMajorAxis: 1, eccentricity: 0.3, inclination: 20 }, 16);
+    assert.strictEqual(points.length, 17);
+    assertClose(points[0].x, points[16].x);
+    assertClose(points[0].y, points[16].y);
+    assertClose(points[0].z, points[16].z);
+});
@@ -0,0 +1,46 @@
+// Tests for shared/mass_radius.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MassRadius = require('../shared/mass_radius.js');
+
+test('an Earth-sized planet is a Terran planet of about one Earth mass', () => {
+    const mass = MassRadius.massFromRadius(1);
+    assert.strictEqual(mass.regime, 'Terran');
+    assert.ok(mass.value > 0.9 && mass.value < 1.1);
+    assert.ok(mass.lower < mass.value && mass.value < mass.upper);
+});
+
+test('the relation is continuous and inverts radiusFromMass', () => {
+    [0.5, 2, 10, 50].forEach(mass => {
+        const estimate = MassRadius.massFromRadius(MassRadius.radiusFromMass(mass));
+        assert.ok(Math.abs(estimate.value - mass) / mass < 0.001, `${estimate.value} for ${mass}`);
+    });
+    const boundary = MassRadius.REGIMES[1].minMass;
+    const below = MassRadius.radiusFromMass(boundary * 0.99999);
+    const above = MassRadius.radiusFromMass(boundary);
+    assert.ok(Math.abs(above - below) < 1e-4);
+});
+
+test('giant planets only get the Jovian mass range', () => {
+    const mass = MassRadius.massFromRadius(15);
+    assert.strictEqual(mass.regime, 'Jovian');
+    assert.strictEqual(mass.value, MassRadius.EARTH_MASSES_PER_JUPITER);
+    assert.strictEqual(mass.upper, 13 * MassRadius.EARTH_MASSES_PER_JUPITER);
+});
+
+test('non-positive radii have no mass', () => {
+    assert.strictEqual(MassRadius.massFromRadius(0), null);
+    assert.strictEqual(MassRadius.massFromRadius(-1), null);
+    assert.strictEqual(MassRadius.planetMass({ radius: undefined }), null);
+});
+
+test('planetMass keeps stored masses and estimates the rest', () => {
+    const stored = { value: 1, unit: 'earthMass', source: 'measured' };
+    assert.strictEqual(MassRadius.planetMass({ mass: stored, radius: 70000 }), stored);
+
+    // Text masses from older records are re-estimated from the radius
+    const estimate = MassRadius.planetMass({ mass: '5.85 Jupiters', radius: 6371 });
+    assert.strictEqual(estimate.unit, 'earthMass');
+    assert.strictEqual(estimate.source, 'estimated');
+    assert.strictEqual(estimate.value, MassRadius.massFromRadiusKm(6371).value);
+});
@@ -0,0 +1,74 @@
+// Tests for shared/octree.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const Octree = require('../shared/octree.js');
+
+// Deterministic scattered points, with duplicates to exercise deep leaves
+function scatteredItems(count) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296;
+    };
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        items.push({ id: i, position: { x: random() * 200 - 100, y: random() * 200 - 100, z: random() * 20 - 10 } });
+    }
+    items.push({ id: count, position: Object.assign({}, items[0].position) });
+    return items;
+}
+
+const items = scatteredItems(500);
+const tree = new Octree.PointOctree(items, { maxItems: 4 });
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test('withinRadius finds the same items as a full scan', () => {
+    const center = { x: 10, y: -20, z: 0 };
+    const expected = items
+        .filter(item => distance(item.position, center) <= 30)
+        .sort((a, b) => distance(a.position, center) - distance(b.position, center))
+        .map(item => item.id);
+    const found = tree.withinRadius(center, 30);
+    assert.ok(found.length > 0);
+    assert.deepStrictEqual(found.map(hit => hit.item.id), expected);
+});
+
+test('nearest returns the closest items in order and honours the filter', () => {
+    const center = items[10].position;
+    const byDistance = items.slice().sort((a, b) => distance(a.position, center) - distance(b.position, center));
+    assert.deepStrictEqual(tree.nearest(center, 5).map(hit => hit.item.id), byDistance.slice(0, 5).map(item => item.id));
+
+    const others = tree.nearest(center, 3, item => item.id !== 10);
+    assert.deepStrictEqual(others.map(hit => hit.item.id), byDistance.filter(item => item.id !== 10).slice(0, 3).map(item => item.id));
+    assert.deepStrictEqual(tree.nearest(center, 0), []);
+});
+
+test('raycast hits items near the ray, nearest along it first', () => {
+    const origin = { x: -150, y: 0, z: 0 };
+    const direction = { x: 2, y: 0, z: 0 };
+    const hits = tree.raycast(origin, direction, { radius: 5 });
+    const expected = items.filter(item => item.position.x > -150 && Math.hypot(item.position.y, item.position.z) <= 5);
+    assert.ok(expected.length > 0);
+    assert.strictEqual(hits.length, expected.length);
+    hits.forEach((hit, i) => {
+        assert.ok(hit.offset <= 5);
+        assert.strictEqual(hit.distance, hit.item.position.x + 150);
+        if (i > 0) assert.ok(hit.distance >= hits[i - 1].distance);
+    });
+});
+
+test('raycast ignores items behind the origin and widens with spread', () => {
+    const single = new Octree.PointOctree([{ position: { x: 0, y: 0, z: 0 } }, { position: { x: 100, y: 10, z: 0 } }]);
+    assert.strictEqual(single.raycast({ x: 1, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { radius: 1 }).length, 0);
+    const origin = { x: -100, y: 0, z: 0 };
+    assert.strictEqual(single.raycast(origin, { x: 1, y: 0, z: 0 }, { radius: 1 }).length, 1);
+    assert.strictEqual(single.raycast(origin, { x: 1, y: 0, z: 0 }, { radius: 1, spread: 0.05 }).length, 2);
+});
+
+test('per-item radii make large items easier to hit', () => {
+    const sized = new Octree.PointOctree([{ position: { x: 0, y: 3, z: 0 }, size: 4 }], { radius: item => item.size });
+    assert.strictEqual(sized.raycast({ x: -10, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }).length, 1);
+});
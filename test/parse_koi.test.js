@@ -0,0 +1,49 @@
+// Tests for the record conversion in parse_koi.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const SSCParser = require('../shared/ssc_parser.js');
+const { planetFromSSCObject, imputedFields, dedupePlanets, PLACEHOLDER_FIELDS } = require('../parse_koi.js');
+const { validatePlanets } = require('../validate_data.js');
+const schema = require('../planet.schema.json');
+
+function parsePlanet(body) {
+    const [object] = SSCParser.parse(`"K00001.01" "Star-K00001.01"\n{\n    Class "Planet"\n${body}\n}\n`).objects;
+    return planetFromSSCObject(object);
+}
+
+test('imputedFields lists the placeholders a source left out', () => {
+    assert.deepStrictEqual(imputedFields({}), PLACEHOLDER_FIELDS);
+    assert.deepStrictEqual(
+        imputedFields({ radius: 6371, 'ellipticalOrbit.period': 10, confidence: 0, discoveryYear: 2010 }),
+        ['ellipticalOrbit.semiMajorAxis', 'ellipticalOrbit.eccentricity', 'ellipticalOrbit.inclination']
+    );
+});
+
+test('records list the fields that kept a placeholder', () => {
+    const planet = parsePlanet('    Radius 6371.00');
+    assert.deepStrictEqual(planet.imputed, PLACEHOLDER_FIELDS.filter(field => field !== 'radius'));
+    // The placeholders are still there for the viewers to draw
+    assert.strictEqual(planet.ellipticalOrbit.semiMajorAxis, 1);
+});
+
+test('placeholder orbits do not feed the stellar and habitability models', () => {
+    // A 1 AU, 365.25 day placeholder orbit would put the planet in the Sun's habitable zone
+    const planet = parsePlanet('    Radius 6371.00');
+    assert.strictEqual(planet.stellar.mass, 1);
+    assert.strictEqual(planet.insolation, null);
+    assert.strictEqual(planet.habitableZone, null);
+    assert.strictEqual(planet.temperature, null);
+    assert.strictEqual(planet.esi, null);
+});
+
+test('the validator warns about placeholders without failing the record', () => {
+    const result = validatePlanets([parsePlanet('    Radius 6371.00')], schema);
+    assert.deepStrictEqual(result.errors, []);
+    assert.ok(result.warnings.some(warning => /^ellipticalOrbit\.semiMajorAxis is the parser default/.test(warning)));
+    assert.ok(!result.warnings.some(warning => /^radius /.test(warning)));
+});
+
+test('later records replace earlier ones with the same ID, in place', () => {
+    const records = [{ id: 'K00001.01', radius: 1 }, { id: 'K00002.01' }, { id: 'K00001.01', radius: 2 }];
+    assert.deepStrictEqual(dedupePlanets(records), [{ id: 'K00001.01', radius: 2 }, { id: 'K00002.01' }]);
+});
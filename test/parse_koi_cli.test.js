@@ -0,0 +1,99 @@
+// Tests for the parse_koi.js command line. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArguments, filterPlanets, sortPlanets, readDataset } = require('../parse_koi.js');
+
+const SCRIPT = path.join(__dirname, '..', 'parse_koi.js');
+
+const planets = [
+    { id: 'A', status: 'confirmed', type: 'Terrestrial', confidence: 0.9, inHabitableZone: true, radius: 6000, mass: { value: 0.8 } },
+    { id: 'B', status: 'candidate', type: 'Super-Earth', confidence: 0.5, inHabitableZone: false, radius: 9000, mass: { value: 3 } },
+    { id: 'C', status: 'confirmed', type: 'Gas Giant', confidence: 0.7, inHabitableZone: false, radius: 70000, mass: null },
+    { id: 'D', status: 'false_positive', type: 'Terrestrial', confidence: 0.1, inHabitableZone: true, radius: 7000, mass: { value: 1.2 } }
+];
+
+const ids = records => records.map(planet => planet.id);
+
+// Run the script in a scratch directory holding the given files
+function runInDirectory(files, args) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'parse-koi-'));
+    try {
+        Object.entries(files).forEach(([name, content]) => {
+            if (content === null) {
+                fs.mkdirSync(path.join(directory, name));
+            } else {
+                fs.writeFileSync(path.join(directory, name), content);
+            }
+        });
+        const result = spawnSync(process.execPath, [SCRIPT, ...args], { cwd: directory, encoding: 'utf-8' });
+        const output = fs.existsSync(path.join(directory, 'out.ndjson'))
+            ? readDataset(path.join(directory, 'out.ndjson'))
+            : null;
+        return { status: result.status, stderr: result.stderr, output };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('arguments are split into inputs and options', () => {
+    assert.deepStrictEqual(parseArguments(['a.ssc', '-o', 'out.json', '--status=confirmed', '--desc', 'b.csv']), {
+        inputs: ['a.ssc', 'b.csv'],
+        options: { output: 'out.json', status: 'confirmed', desc: true }
+    });
+    assert.throws(() => parseArguments(['--colour', 'red']), /Unknown option --colour/);
+    assert.throws(() => parseArguments(['a.ssc', '--sort']), /--sort needs a value/);
+});
+
+test('filters combine status, type, confidence and habitable zone', () => {
+    assert.deepStrictEqual(ids(filterPlanets(planets, { status: ['confirmed'] })), ['A', 'C']);
+    assert.deepStrictEqual(ids(filterPlanets(planets, { type: ['Terrestrial', 'Super-Earth'] })), ['A', 'B', 'D']);
+    assert.deepStrictEqual(ids(filterPlanets(planets, { minConfidence: 0.5 })), ['A', 'B', 'C']);
+    assert.deepStrictEqual(ids(filterPlanets(planets, { habitable: true, status: ['confirmed', 'candidate'] })), ['A']);
+    assert.deepStrictEqual(ids(filterPlanets(planets)), ['A', 'B', 'C', 'D']);
+});
+
+test('sorting uses quantity values and puts missing values last', () => {
+    assert.deepStrictEqual(ids(sortPlanets(planets, 'radius')), ['A', 'D', 'B', 'C']);
+    assert.deepStrictEqual(ids(sortPlanets(planets, 'mass')), ['A', 'D', 'B', 'C']);
+    assert.deepStrictEqual(ids(sortPlanets(planets, 'mass', true)), ['B', 'D', 'A', 'C']);
+    assert.deepStrictEqual(ids(sortPlanets(planets, 'type')), ['C', 'B', 'A', 'D']);
+    assert.deepStrictEqual(ids(planets), ['A', 'B', 'C', 'D']);
+});
+
+test('the command filters, sorts and limits a dataset', () => {
+    const result = runInDirectory({ 'in.json': JSON.stringify(planets) }, [
+        'in.json', '--status', 'confirmed,false_positive', '--sort', 'confidence', '--desc', '--limit', '2', '-o', 'out.ndjson'
+    ]);
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(ids(result.output), ['A', 'C']);
+});
+
+test('the command exits with status 1 on bad arguments', () => {
+    const input = { 'in.json': JSON.stringify(planets) };
+    const cases = [
+        [['in.json', '--colour'], /Unknown option --colour/],
+        [['in.json'], /Nothing to do/],
+        [['missing.json', '--stats'], /missing\.json: file not found/],
+        [['in.json', '--stats', '--status', 'maybe'], /Unknown status maybe/],
+        [['in.json', '--stats', '--min-confidence', '2'], /--min-confidence must be a number from 0 to 1/],
+        [['in.json', '--stats', '--limit', 'all'], /--limit must be a whole number/],
+        [['in.json', '--stats', '--report', 'changes.md'], /--report needs --output/]
+    ];
+    cases.forEach(([args, message]) => {
+        const result = runInDirectory(input, args);
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.match(result.stderr, message);
+    });
+});
+
+test('the default conversions exit with status 1 when one fails', () => {
+    const catalog = '"K00001.01" "Star-K00001.01"\n{\n    Class "Planet"\n    Radius 6371.00\n}\n';
+    // koiData.json is a directory, so it cannot be written
+    const result = runInDirectory({ 'koi_candidates.ssc': catalog, 'koiData.json': null }, []);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Error parsing SSC file \.\/koi_candidates\.ssc/);
+});
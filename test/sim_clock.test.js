@@ -0,0 +1,84 @@
+// Tests for shared/sim_clock.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../shared/sim_clock.js');
+
+// A clock driven by a fake real-time source
+function fakeClock(options = {}) {
+    const real = { now: 0 };
+    const clock = new SimClock.SimulationClock(Object.assign({ time: SimClock.J2000, now: () => real.now }, options));
+    return { clock, real };
+}
+
+test('ticks advance simulated time at the rate', () => {
+    const { clock, real } = fakeClock({ rate: 86400 });
+    real.now = 1000;
+    clock.tick();
+    assert.strictEqual(clock.daysSinceJ2000(), 1);
+});
+
+test('a paused clock stands still and resumes without a jump', () => {
+    const { clock, real } = fakeClock({ rate: 86400 });
+    clock.pause();
+    real.now = 5000;
+    clock.tick();
+    assert.strictEqual(clock.daysSinceJ2000(), 0);
+
+    real.now = 10000;
+    clock.play();
+    real.now = 11000;
+    clock.tick();
+    assert.strictEqual(clock.daysSinceJ2000(), 1);
+});
+
+test('reverse runs time backwards at the same speed', () => {
+    const { clock, real } = fakeClock({ rate: 86400 });
+    clock.reverse();
+    assert.strictEqual(clock.isReversed(), true);
+    real.now = 2000;
+    clock.tick();
+    assert.strictEqual(clock.daysSinceJ2000(), -2);
+});
+
+test('listeners hear about changes but not ticks', () => {
+    const { clock, real } = fakeClock();
+    let changes = 0;
+    clock.onChange(() => changes++);
+    clock.setRate(60);
+    clock.togglePause();
+    real.now = 1000;
+    clock.tick();
+    assert.strictEqual(changes, 2);
+});
+
+test('state round trips through getState and setState', () => {
+    const { clock } = fakeClock({ rate: -3600, paused: true });
+    const { clock: copy } = fakeClock();
+    copy.setState(clock.getState());
+    assert.deepStrictEqual(copy.getState(), clock.getState());
+});
+
+test('setState clamps times a Date cannot hold', () => {
+    const { clock } = fakeClock();
+    clock.setState({ time: 1e20 });
+    assert.strictEqual(clock.getTime(), SimClock.MAX_TIME);
+    clock.setState({ time: -1e20 });
+    assert.strictEqual(clock.getTime(), -SimClock.MAX_TIME);
+    assert.match(SimClock.formatDate(clock.getTime()), /^-271821-04-20 00:00 UTC$/);
+});
+
+test('setState snaps rates to the nearest preset, keeping the direction', () => {
+    const { clock } = fakeClock();
+    clock.setState({ rate: 100000 });
+    assert.strictEqual(clock.rate, 86400);
+    clock.setState({ rate: -50 });
+    assert.strictEqual(clock.rate, -60);
+    // Zero and non-numbers keep the current rate
+    clock.setState({ rate: 0 });
+    clock.setState({ rate: NaN });
+    assert.strictEqual(clock.rate, -60);
+});
+
+test('formatDate writes minutes in UTC', () => {
+    assert.strictEqual(SimClock.formatDate(Date.UTC(2026, 9, 19, 14, 3, 59)), '2026-10-19 14:03 UTC');
+});
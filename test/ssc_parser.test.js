@@ -0,0 +1,50 @@
+// Tests for shared/ssc_parser.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const SSCParser = require('../shared/ssc_parser.js');
+
+function object(name, body) {
+    return `"${name}" "Star-${name}"\n{\n${body}\n}\n`;
+}
+
+const VALID_A = object('K00001.01', '    Radius 6371.00');
+const VALID_B = object('K00002.01', '    Radius 12742.00');
+
+test('recover mode skips an object with a stray character', () => {
+    const source = VALID_A + object('K00003.01', '    Radius 6371.00;') + VALID_B;
+    const ast = SSCParser.parse(source, { recover: true });
+    assert.deepStrictEqual(ast.objects.map(o => o.names[0]), ['K00001.01', 'K00002.01']);
+    assert.strictEqual(ast.errors.length, 1);
+    assert.match(ast.errors[0].message, /Unexpected character ';' \(line 7, column 19\)/);
+});
+
+test('recover mode skips an object with an unclosed quote', () => {
+    const source = VALID_A + object('K00003.01', '    Texture "earth.jpg\n    Radius 6371.00') + VALID_B;
+    const ast = SSCParser.parse(source, { recover: true });
+    assert.deepStrictEqual(ast.objects.map(o => o.names[0]), ['K00001.01', 'K00002.01']);
+    assert.strictEqual(ast.errors.length, 1);
+    assert.match(ast.errors[0].message, /Unterminated string/);
+});
+
+test('recover mode reports stray characters between objects', () => {
+    const ast = SSCParser.parse(`${VALID_A};\n${VALID_B}`, { recover: true });
+    assert.strictEqual(ast.objects.length, 2);
+    assert.strictEqual(ast.errors.length, 1);
+});
+
+test('lexer errors still throw without recover mode', () => {
+    assert.throws(() => SSCParser.parse(`${VALID_A};`), SSCParser.SSCSyntaxError);
+    assert.throws(() => SSCParser.tokenize('"open'), /Unterminated string/);
+});
+
+test('streamed pieces recover from an unclosed quote', () => {
+    const source = VALID_A + object('K00003.01', '    Texture "earth.jpg\n    Radius 6371.00') + VALID_B;
+    const reader = SSCParser.createObjectReader();
+    const pieces = reader.write(source).concat(reader.end());
+    const names = [];
+    pieces.forEach(piece => {
+        const ast = SSCParser.parse(piece.source, { recover: true, line: piece.line, column: piece.column });
+        ast.objects.forEach(o => names.push(o.names[0]));
+    });
+    assert.deepStrictEqual(names, ['K00001.01', 'K00002.01']);
+});
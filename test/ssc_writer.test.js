@@ -0,0 +1,51 @@
+// Tests for shared/ssc_writer.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const SSCParser = require('../shared/ssc_parser.js');
+const SSCWriter = require('../shared/ssc_writer.js');
+const { planetFromSSCObject } = require('../parse_koi.js');
+
+function roundTrip(source) {
+    const [object] = SSCParser.parse(source).objects;
+    const planet = planetFromSSCObject(object);
+    const [copy] = SSCParser.parse(SSCWriter.serializePlanet(planet)).objects;
+    return { planet, copy: planetFromSSCObject(copy) };
+}
+
+test('round trip keeps catalog values', () => {
+    const { planet, copy } = roundTrip(`"K00753.01" "Star-K00753.01"
+{
+    Class "Planet"
+    Radius 93118.80
+    EllipticalOrbit
+    {
+        Period 19.899140
+        SemiMajorAxis 0.141900
+        Eccentricity 0.000000
+        Inclination 88.960000
+        Confidence 52%
+        Temperature 638.0
+    }
+}`);
+    assert.strictEqual(copy.radius, planet.radius);
+    assert.deepStrictEqual(copy.ellipticalOrbit, planet.ellipticalOrbit);
+    assert.strictEqual(copy.temperature, 638);
+    assert.strictEqual(copy.confidence, planet.confidence);
+    assert.deepStrictEqual(copy.imputed, planet.imputed);
+});
+
+test('round trip keeps placeholders marked as imputed', () => {
+    const { planet, copy } = roundTrip(`"TOI-1011.01" "Star-1011.01"
+{
+    Class "Planet"
+    EllipticalOrbit
+    {
+        Period 2.470000
+    }
+}`);
+    assert.ok(planet.imputed.includes('radius'));
+    assert.ok(planet.imputed.includes('ellipticalOrbit.semiMajorAxis'));
+    assert.ok(planet.imputed.includes('confidence'));
+    assert.deepStrictEqual(copy.imputed, planet.imputed);
+    assert.strictEqual(copy.ellipticalOrbit.period, 2.47);
+});
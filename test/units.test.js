@@ -0,0 +1,69 @@
+// Tests for shared/units.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const Units = require('../shared/units.js');
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.abs(expected), `${actual} is not close to ${expected}`);
+}
+
+test('convert scales between units of a dimension', () => {
+    assertClose(Units.convert(1, 'AU', 'km'), 149597870.7);
+    assertClose(Units.convert(1, 'pc', 'ly'), 3.2615637771674333);
+    assertClose(Units.convert(1, 'jupiterMass', 'earthMass'), 317.83, 1e-5);
+    assertClose(Units.convert(1, 'yr', 'd'), 365.25);
+});
+
+test('convert rejects unknown units and mixed dimensions', () => {
+    assert.throws(() => Units.convert(1, 'furlong', 'km'), /Unknown unit: furlong/);
+    assert.throws(() => Units.convert(1, 'km', 'kg'), /Cannot convert km \(length\) to kg \(mass\)/);
+});
+
+test('distance text round trips through a parsec quantity', () => {
+    const distance = Units.distanceFromText('Approx. 1448.46 light years away from Earth');
+    assert.strictEqual(distance.unit, 'pc');
+    assertClose(distance.value, Units.convert(1448.46, 'ly', 'pc'));
+    assert.strictEqual(Units.distanceToText(distance), 'Approx. 1448.46 light years away from Earth');
+    assert.deepStrictEqual(Units.distanceFromText('12 parsecs'), { value: 12, unit: 'pc' });
+    assert.strictEqual(Units.distanceFromText('Distance unknown'), null);
+    assert.strictEqual(Units.distanceFromText(null), null);
+});
+
+test('legacy masses normalize to Earth-mass quantities', () => {
+    const quantity = { value: 2, lower: 1, upper: 3, unit: 'earthMass' };
+    assert.strictEqual(Units.asMass(quantity), quantity);
+    assert.deepStrictEqual(Units.asMass(5), { value: 5, lower: null, upper: null, unit: 'earthMass' });
+    assertClose(Units.asMass('2 Jupiters').value, 2 * 317.83, 1e-5);
+    assert.strictEqual(Units.asMass('0.30 Earths').value, 0.3);
+    assert.strictEqual(Units.asMass('heavy'), null);
+});
+
+test('values are formatted in each unit system', () => {
+    assert.strictEqual(Units.formatRadius(6371, 'relative'), '1.00 R⊕');
+    assert.strictEqual(Units.formatRadius(69911, 'relative'), '1.00 R♃');
+    assert.strictEqual(Units.formatRadius(6371, 'si'), '6,371 km');
+    assert.strictEqual(Units.formatMass({ value: 1, lower: 0.5, upper: 2, unit: 'earthMass' }, 'relative'), '1.00 M⊕ (0.50–2.00)');
+    assert.strictEqual(Units.formatMass({ value: 1, unit: 'earthMass' }, 'si'), '5.97 × 10²⁴ kg');
+    assert.strictEqual(Units.formatDistance('Approx. 1000 light years away from Earth', 'astronomical'), '306.6 pc');
+    assert.strictEqual(Units.formatTemperature(300, 'relative'), '300 K (+12 K vs Earth)');
+    assert.strictEqual(Units.formatPeriod(730.5, 'relative'), '2.00 yr');
+    assert.strictEqual(Units.formatInsolation(1, 'si'), '1,361 W/m²');
+});
+
+test('missing values are formatted as unknown', () => {
+    assert.strictEqual(Units.formatRadius(undefined, 'si'), 'Unknown');
+    assert.strictEqual(Units.formatMass(null, 'si'), 'Unknown');
+    assert.strictEqual(Units.formatDistance(null, 'si'), 'Distance unknown');
+    assert.strictEqual(Units.formatTemperature(NaN, 'si'), 'N/A');
+});
+
+test('changing the unit system notifies listeners', () => {
+    const seen = [];
+    Units.onUnitSystemChange(system => seen.push(system));
+    Units.setUnitSystem('si');
+    assert.strictEqual(Units.getUnitSystem(), 'si');
+    assert.strictEqual(Units.formatRadius(6371), '6,371 km');
+    Units.setUnitSystem('relative');
+    assert.deepStrictEqual(seen, ['si', 'relative']);
+    assert.throws(() => Units.setUnitSystem('imperial'), /Unknown unit system/);
+});
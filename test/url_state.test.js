@@ -0,0 +1,98 @@
+// Tests for shared/url_state.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const UrlState = require('../shared/url_state.js');
+
+const SCHEMA = {
+    system: 'string',
+    planet: 'string',
+    cam: 'vector',
+    hz: 'boolean',
+    t: 'number',
+    rate: 'number',
+    paused: 'boolean'
+};
+const DEFAULTS = { system: 'overview', hz: true, rate: 86400, paused: false };
+
+// Enough of a window for HashHistory: a hash, history entries and popstate
+function fakeWindow(hash = '') {
+    const listeners = [];
+    const entries = [hash];
+    const win = {
+        entries,
+        location: { hash, pathname: '/solar_view/', search: '' },
+        history: {
+            pushState: (data, title, url) => { entries.push(url); win.location.hash = url.startsWith('#') ? url : ''; },
+            replaceState: (data, title, url) => { entries[entries.length - 1] = url; win.location.hash = url.startsWith('#') ? url : ''; }
+        },
+        addEventListener: (type, listener) => listeners.push(listener),
+        // Go to an earlier entry, as the back button would
+        back() {
+            entries.pop();
+            const url = entries[entries.length - 1];
+            win.location.hash = url.startsWith('#') ? url : '';
+            listeners.forEach(listener => listener());
+        }
+    };
+    return win;
+}
+
+test('a view state round trips through the hash', () => {
+    const state = { system: 'Kepler-22', planet: 'Kepler-22 b', cam: [0, 30.5, -80], hz: false, t: 946728000000, rate: -3600, paused: true };
+    const hash = UrlState.encodeState(state, DEFAULTS);
+    assert.strictEqual(hash, 'system=Kepler-22&planet=Kepler-22+b&cam=0,30.5,-80&hz=0&t=946728000000&rate=-3600&paused=1');
+    assert.deepStrictEqual(UrlState.decodeState(`#${hash}`, SCHEMA), state);
+});
+
+test('defaults, nulls and non-finite numbers are left out', () => {
+    const hash = UrlState.encodeState({ system: 'overview', planet: null, hz: true, t: NaN, rate: 86400, cam: [1, 2, 3] }, DEFAULTS);
+    assert.strictEqual(hash, 'cam=1,2,3');
+});
+
+test('numbers keep three decimals', () => {
+    assert.strictEqual(UrlState.encodeState({ cam: [1.23456, -0.0004, 2] }), 'cam=1.235,0,2');
+});
+
+test('values that do not parse as their type are dropped', () => {
+    const state = UrlState.decodeState('#t=soon&hz=maybe&cam=1,x,3&paused=true&unknown=1&rate=60', SCHEMA);
+    assert.deepStrictEqual(state, { rate: 60, paused: true });
+});
+
+test('HashHistory restores the URL state over the defaults', () => {
+    const win = fakeWindow('#system=Kepler-22&hz=0');
+    const applied = [];
+    const history = new UrlState.HashHistory({ schema: SCHEMA, defaults: DEFAULTS, window: win, read: () => ({}), apply: state => applied.push(state) });
+    history.start();
+    assert.deepStrictEqual(applied, [Object.assign({}, DEFAULTS, { system: 'Kepler-22', hz: false })]);
+});
+
+test('HashHistory pushes selections, replaces tweaks and steps back', () => {
+    const win = fakeWindow();
+    let view = Object.assign({}, DEFAULTS);
+    const history = new UrlState.HashHistory({
+        schema: SCHEMA,
+        defaults: DEFAULTS,
+        window: win,
+        read: () => view,
+        apply: state => {
+            view = state;
+            // Writes while applying a state are ignored
+            history.push();
+        }
+    });
+
+    history.push();
+    assert.deepStrictEqual(win.entries, [''], 'nothing is written before start()');
+    history.start();
+
+    view = Object.assign({}, view, { system: 'Kepler-22' });
+    history.push();
+    view = Object.assign({}, view, { hz: false });
+    history.replace();
+    history.replace();
+    assert.deepStrictEqual(win.entries, ['', '#system=Kepler-22&hz=0']);
+
+    win.back();
+    assert.deepStrictEqual(view, DEFAULTS);
+    assert.deepStrictEqual(win.entries, ['']);
+});
@@ -0,0 +1,82 @@
+// Tests for validate_data.js. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validateValue, validatePlanets } = require('../validate_data.js');
+
+const ROOT = path.join(__dirname, '..');
+const schema = require('../planet.schema.json');
+const [record] = require('../koiData.json');
+
+// A copy of a generated record with some fields replaced
+function withChanges(changes) {
+    return Object.assign(JSON.parse(JSON.stringify(record)), changes);
+}
+
+function errorPaths(planets) {
+    return validatePlanets(planets, schema).errors.map(error => `${error.id} ${error.path}`);
+}
+
+test('generated records are valid', () => {
+    assert.deepStrictEqual(validatePlanets([record], schema).errors, []);
+});
+
+test('wrong types, missing fields and out-of-range values are errors', () => {
+    const planet = withChanges({ radius: 'large', confidence: 1.5, mission: 'Hubble' });
+    delete planet.name;
+    assert.deepStrictEqual(errorPaths([planet]).sort(), [
+        `${record.id} confidence`,
+        `${record.id} mission`,
+        `${record.id} name`,
+        `${record.id} radius`
+    ]);
+    const messages = validatePlanets([planet], schema).errors.map(error => error.message);
+    assert.ok(messages.includes('has type string, expected number'));
+    assert.ok(messages.includes('is missing'));
+});
+
+test('nested fields are reported by path', () => {
+    const planet = withChanges({ ellipticalOrbit: Object.assign({}, record.ellipticalOrbit, { period: -1 }) });
+    assert.deepStrictEqual(errorPaths([planet]), [`${record.id} ellipticalOrbit.period`]);
+});
+
+test('duplicate IDs and non-array datasets are errors', () => {
+    assert.deepStrictEqual(errorPaths([record, record]), [`${record.id} id`]);
+    assert.deepStrictEqual(errorPaths({ planets: [] }), ['(dataset) (root)']);
+});
+
+test('placeholder fields are warnings, not errors', () => {
+    const result = validatePlanets([withChanges({ imputed: ['radius'] })], schema);
+    assert.deepStrictEqual(result.errors, []);
+    assert.ok(result.warnings.some(warning => /^radius is the parser default/.test(warning)));
+});
+
+test('validateValue checks oneOf, enum and item schemas', () => {
+    const options = { oneOf: [{ type: 'string', minLength: 1 }, { type: 'null' }] };
+    assert.deepStrictEqual(validateValue(null, options), []);
+    assert.deepStrictEqual(validateValue('', options, 'star'), [{ path: 'star', message: 'is empty' }]);
+    assert.deepStrictEqual(validateValue([1, 'two'], { type: 'array', items: { type: 'number' } }, 'list'), [
+        { path: 'list[1]', message: 'has type string, expected number' }
+    ]);
+});
+
+test('the command exits with status 1 when a dataset has errors', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-data-'));
+    try {
+        const valid = path.join(directory, 'valid.json');
+        const invalid = path.join(directory, 'invalid.json');
+        fs.writeFileSync(valid, JSON.stringify([record]));
+        fs.writeFileSync(invalid, JSON.stringify([withChanges({ radius: -1 })]));
+
+        const run = files => spawnSync(process.execPath, ['validate_data.js', ...files], { cwd: ROOT, encoding: 'utf-8' });
+        assert.strictEqual(run([valid]).status, 0);
+        const failed = run([valid, invalid]);
+        assert.strictEqual(failed.status, 1);
+        assert.match(failed.stderr, /radius is -1/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,220 @@
+// Node.js script to check the generated planet datasets (koiData.json,
+// tessData.json) against planet.schema.json. Run it after parse_koi.js or
+// parse_koi_csv.js; it exits with status 1 when any dataset has errors.
+const fs = require('fs');
+const path = require('path');
+const { createPlanetRecord, findCatalog, PLACEHOLDER_FIELDS } = require('./parse_koi');
+
+const SCHEMA_PATH = path.join(__dirname, 'planet.schema.json');
+const JUPITER_RADIUS_KM = 69911;
+
+// Errors listed per dataset before the rest are summarized
+const MAX_LISTED_ERRORS = 25;
+
+function getPath(object, field) {
+    return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema (draft-07) used by
+ * planet.schema.json: type, enum, required, properties, items, oneOf,
+ * minLength and the numeric range keywords
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or subschema)
+ * @param {string} [location] - Path of the value, for messages
+ * @returns {Array<Object>} Problems as { path, message }; empty when valid
+ */
+function validateValue(value, schema, location = '') {
+    const problems = [];
+    const report = message => problems.push({ path: location || '(record)', message });
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => validateValue(value, option, location).length === 0);
+        if (matching.length !== 1) {
+            // Explain with the option whose type fits, if any
+            const fitting = schema.oneOf.find(option => !option.type || [].concat(option.type).some(t => matchesType(value, t)));
+            if (fitting) return validateValue(value, fitting, location);
+            report(`has type ${typeOf(value)}, expected ${schema.oneOf.map(option => option.type).join(' or ')}`);
+        }
+        return problems;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            report(`has type ${typeOf(value)}, expected ${types.join(' or ')}`);
+            return problems;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(`is ${JSON.stringify(value)}, expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) report(`is ${value}, below the minimum ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) report(`is ${value}, above the maximum ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            report(`is ${value}, must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            report(`is ${value}, must be less than ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        report('is empty');
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            problems.push(...validateValue(item, schema.items, `${location}[${index}]`));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                problems.push({ path: location ? `${location}.${key}` : key, message: 'is missing' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                problems.push(...validateValue(value[key], propertySchema, location ? `${location}.${key}` : key));
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Check a dataset: schema violations and duplicate IDs are errors; fields
+ * left at their parser defaults and implausible values are warnings
+ * @param {Array<Object>} planets - Planet records
+ * @param {Object} schema - Planet record schema
+ * @returns {Object} { errors: [{ id, path, message }], warnings: [string] }
+ */
+function validatePlanets(planets, schema) {
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(planets)) {
+        errors.push({ id: '(dataset)', path: '(root)', message: 'is not an array of planet records' });
+        return { errors, warnings };
+    }
+
+    planets.forEach((planet, index) => {
+        const id = planet && planet.id ? planet.id : `#${index}`;
+        validateValue(planet, schema).forEach(problem => errors.push(Object.assign({ id }, problem)));
+    });
+
+    // Duplicate IDs
+    const seen = new Map();
+    planets.forEach(planet => {
+        if (planet && planet.id) seen.set(planet.id, (seen.get(planet.id) || 0) + 1);
+    });
+    seen.forEach((count, id) => {
+        if (count > 1) errors.push({ id, path: 'id', message: `appears ${count} times` });
+    });
+
+    // Fields still holding the placeholder a record starts with. Records list
+    // them in `imputed`; older ones are compared with the placeholder values.
+    const defaults = createPlanetRecord('K00001.01', 'Star-K00001.01', findCatalog('K00001.01'));
+    const isImputed = (planet, field) => Array.isArray(planet.imputed)
+        ? planet.imputed.includes(field)
+        : getPath(planet, field) === getPath(defaults, field);
+    PLACEHOLDER_FIELDS.forEach(field => {
+        const count = planets.filter(planet => planet && isImputed(planet, field)).length;
+        if (count > 0) {
+            warnings.push(`${field} is the parser default (${getPath(defaults, field)}) in ${count}/${planets.length} records`);
+        }
+    });
+
+    // In range, but more likely a stellar companion than a planet
+    const oversized = planets.filter(planet => planet.radius > JUPITER_RADIUS_KM).length;
+    if (oversized > 0) {
+        warnings.push(`${oversized}/${planets.length} records have a radius larger than Jupiter's (${JUPITER_RADIUS_KM} km)`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Validate one dataset file and print a report
+ * @param {string} filePath - JSON dataset
+ * @param {Object} schema - Planet record schema
+ * @returns {boolean} True when the file has no errors
+ */
+function validateFile(filePath, schema) {
+    console.log(`\n🔎 Validating ${filePath}...`);
+
+    let planets;
+    try {
+        planets = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        console.error(`❌ Cannot read ${filePath}: ${error.message}`);
+        return false;
+    }
+
+    const { errors, warnings } = validatePlanets(planets, schema);
+
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    if (errors.length === 0) {
+        console.log(`✅ ${planets.length} records, no errors`);
+        return true;
+    }
+
+    errors.slice(0, MAX_LISTED_ERRORS).forEach(error => {
+        console.error(`❌ ${error.id}: ${error.path} ${error.message}`);
+    });
+    if (errors.length > MAX_LISTED_ERRORS) {
+        console.error(`   ...and ${errors.length - MAX_LISTED_ERRORS} more`);
+    }
+
+    // Which fields fail most, to point at the cause
+    const byPath = {};
+    errors.forEach(error => {
+        const key = error.path.replace(/\[\d+\]/g, '[]');
+        byPath[key] = (byPath[key] || 0) + 1;
+    });
+    console.error(`❌ ${errors.length} error${errors.length === 1 ? '' : 's'} in ${planets.length} records:`);
+    Object.entries(byPath)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([field, count]) => console.error(`  ${field}: ${count}`));
+    return false;
+}
+
+// Main execution
+if (require.main === module) {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        // planet_viewer keeps its own copy of the KOI dataset
+        ['./koiData.json', './planet_viewer/koiData.json', './tessData.json'].forEach(file => {
+            if (fs.existsSync(file)) files.push(file);
+        });
+    }
+    if (files.length === 0) {
+        console.error('❌ No datasets found. Usage: node validate_data.js [data.json ...]');
+        process.exit(1);
+    }
+
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+    const results = files.map(file => validateFile(file, schema));
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+module.exports = { validateValue, validatePlanets, validateFile };